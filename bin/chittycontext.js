@@ -15,8 +15,34 @@
 
 import { Command } from "commander";
 import { ContextManager } from "../lib/context-manager.js";
-import { displayStatus } from "../lib/display.js";
+import {
+  displayAccountList,
+  displayStatus,
+  formatTable,
+} from "../lib/display.js";
+import { findContextFile } from "../lib/directory-context.js";
+import { generateHook, generateHookEnv } from "../lib/shell-hook.js";
+import { FORMATS, formatEnv, writeEnvFile } from "../lib/formatters.js";
+import { findTopologyFile, loadTopology } from "../lib/queue-topology.js";
+import { MESSAGE_SCHEMAS } from "../lib/queue-messages.js";
+import { ROTATION_GENERATORS } from "../lib/rotation.js";
+import { INVENTORY_DRIFT } from "../lib/secrets-manager.js";
+import { SESSION_ENV } from "../lib/credential-store.js";
+import {
+  findSecretManifest,
+  loadSecretManifest,
+} from "../lib/secret-manifest.js";
+import {
+  DEFAULT_CONSUMER,
+  diffDevVars,
+  diffLines,
+  renderQueueTables,
+  writeQueueBindings,
+} from "../lib/wrangler.js";
+import { readFileSync, statSync } from "fs";
+import { spawn } from "child_process";
 import chalk from "chalk";
+import inquirer from "inquirer";
 
 const program = new Command();
 const contextManager = new ContextManager();
@@ -25,16 +51,41 @@ program
   .name("chittycontext")
   .description("Universal multi-account and persona management for ChittyOS")
   .version("1.0.0")
-  .alias("ctx");
+  .alias("ctx")
+  .enablePositionalOptions();
 
 // Context management
 program
   .command("use <context>")
   .description("Switch to a named context (work, personal, litigation, etc.)")
-  .action(async (contextName) => {
+  .option(
+    "--session",
+    'Print exports for this shell only (eval "$(ctx use --session work)")',
+  )
+  .option(
+    "-s, --shell <type>",
+    "Shell type for --session (bash, zsh, fish, nushell, powershell)",
+    "bash",
+  )
+  .action(async (contextName, options) => {
     try {
+      if (options.session) {
+        const envVars = await contextManager.getSessionEnvironment(contextName);
+        console.log(formatEnv(envVars, options.shell));
+        return;
+      }
+
       await contextManager.switchContext(contextName);
       console.log(chalk.green(`✅ Switched to context: ${contextName}`));
+
+      const resolved = contextManager.resolveContext();
+      if (resolved.source !== "global") {
+        console.log(
+          chalk.yellow(
+            `⚠️  This shell uses ${resolved.source} context '${resolved.name}', which takes precedence`,
+          ),
+        );
+      }
       await displayStatus(contextManager);
     } catch (error) {
       console.error(chalk.red(`❌ Failed to switch context: ${error.message}`));
@@ -42,11 +93,39 @@ program
     }
   });
 
+program
+  .command("shell <context>")
+  .description("Start a subshell scoped to a context (global config unchanged)")
+  .action(async (contextName) => {
+    try {
+      const envVars = await contextManager.getSessionEnvironment(contextName);
+      const shell = process.env.SHELL || "/bin/sh";
+
+      console.log(
+        chalk.green(`✅ Entering context: ${contextName} (exit to leave)`),
+      );
+      const child = spawn(shell, [], {
+        stdio: "inherit",
+        env: { ...process.env, ...envVars },
+      });
+      child.on("exit", (code) => process.exit(code ?? 1));
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to start shell: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command("status")
   .description("Show current context and account configuration")
-  .action(async () => {
-    await displayStatus(contextManager);
+  .option("--explain", "Show which context layer each value comes from")
+  .action(async (options) => {
+    try {
+      await displayStatus(contextManager, { explain: options.explain });
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to show status: ${error.message}`));
+      process.exit(1);
+    }
   });
 
 program
@@ -58,9 +137,13 @@ program
     const current = contextManager.getCurrentContext();
 
     console.log(chalk.bold("\n📋 Available Contexts:\n"));
+    const { contexts: stored } = contextManager.getConfig();
     contexts.forEach((ctx) => {
       const marker = ctx === current ? chalk.green("→") : " ";
-      console.log(`${marker} ${ctx}`);
+      const base = stored[ctx].extends
+        ? chalk.dim(` (extends ${stored[ctx].extends})`)
+        : "";
+      console.log(`${marker} ${ctx}${base}`);
     });
     console.log();
   });
@@ -70,9 +153,12 @@ program
   .command("create <name>")
   .description("Create a new context")
   .option("-f, --from <context>", "Clone from existing context")
+  .option("-e, --extends <context>", "Inherit accounts and variables")
   .action(async (name, options) => {
     try {
-      await contextManager.createContext(name, options.from);
+      await contextManager.createContext(name, options.from, {
+        extends: options.extends,
+      });
       console.log(chalk.green(`✅ Created context: ${name}`));
     } catch (error) {
       console.error(chalk.red(`❌ Failed to create context: ${error.message}`));
@@ -93,135 +179,279 @@ program
     }
   });
 
-// Service-specific commands
-const cloudflare = program
-  .command("cloudflare")
-  .alias("cf")
-  .description("Manage Cloudflare accounts");
+// Service-specific commands, one group per provider (built-in or plugin)
+const lowerFirst = (text) =>
+  /^[A-Z][a-z]/.test(text) ? text[0].toLowerCase() + text.slice(1) : text;
+
+const plugins = await contextManager.loadPlugins();
+plugins.errors.forEach(({ file, error }) => {
+  console.warn(chalk.yellow(`⚠️  Could not load provider ${file}: ${error}`));
+});
+
+contextManager.listProviders().forEach((provider) => {
+  const argument = `<${provider.accountLabel || "name"}>`;
+  const serviceCommand = program
+    .command(provider.id)
+    .description(provider.description || `Manage ${provider.name} accounts`);
+
+  if (provider.alias) {
+    serviceCommand.alias(provider.alias);
+  }
 
-cloudflare
-  .command("use <account>")
-  .description("Switch Cloudflare account for current context")
-  .action(async (account) => {
+  const useCommand = serviceCommand
+    .command(`use ${argument}`)
+    .description(`Switch ${provider.name} account for current context`);
+  (provider.useOptions || []).forEach((option) =>
+    useCommand.option(option.flags, option.description),
+  );
+  useCommand.action(async (account, options) => {
     try {
-      await contextManager.setServiceAccount("cloudflare", account);
-      console.log(chalk.green(`✅ Cloudflare account set to: ${account}`));
+      await contextManager.useAccount(provider.id, account, options);
+      console.log(
+        chalk.green(`✅ ${provider.name} account set to: ${account}`),
+      );
     } catch (error) {
       console.error(chalk.red(`❌ Failed: ${error.message}`));
       process.exit(1);
     }
   });
 
-cloudflare
-  .command("add <name>")
-  .description("Add a new Cloudflare account")
-  .option("-i, --account-id <id>", "Account ID")
-  .option("-t, --token <token>", "API token")
-  .option("--token-from-1password <item>", "Fetch token from 1Password")
-  .action(async (name, options) => {
+  const addCommand = serviceCommand
+    .command(`add ${argument}`)
+    .description(`Add a new ${provider.name} account`);
+  provider.fields.forEach((field) => {
+    addCommand.option(field.flags, field.description);
+    if (field.referenceFlags) {
+      addCommand.option(
+        field.referenceFlags,
+        `Fetch ${lowerFirst(field.description)} from 1Password`,
+      );
+    }
+  });
+  if (provider.fields.some((field) => field.referenceFlags)) {
+    addCommand.option(
+      "--store-reference",
+      "Store op:// references instead of values (resolved at export time)",
+    );
+  }
+  addCommand.action(async (name, options) => {
     try {
-      await contextManager.addCloudflareAccount(name, options);
-      console.log(chalk.green(`✅ Added Cloudflare account: ${name}`));
+      await contextManager.addAccount(provider.id, name, options);
+      console.log(chalk.green(`✅ Added ${provider.name} account: ${name}`));
     } catch (error) {
       console.error(chalk.red(`❌ Failed: ${error.message}`));
       process.exit(1);
     }
   });
 
-cloudflare
-  .command("list")
-  .description("List configured Cloudflare accounts")
-  .action(async () => {
-    const accounts = contextManager.getCloudflareAccounts();
-    console.log(chalk.bold("\n☁️  Cloudflare Accounts:\n"));
-    accounts.forEach((acc) => {
-      console.log(`  ${acc.name} (${acc.account_id})`);
+  serviceCommand
+    .command("list")
+    .description(`List configured ${provider.name} accounts`)
+    .action(async () => {
+      const current = contextManager.getCurrentContext();
+      let active;
+      try {
+        active =
+          contextManager.getEffectiveContext(current).context[provider.id];
+      } catch {
+        active = null;
+      }
+      displayAccountList(
+        provider,
+        contextManager.getAccounts(provider.id),
+        active,
+      );
     });
-    console.log();
-  });
 
-// GitHub commands
-const github = program
-  .command("github")
-  .alias("gh")
-  .description("Manage GitHub accounts and organizations");
+  serviceCommand
+    .command(`remove ${argument}`)
+    .alias("rm")
+    .description(`Remove a ${provider.name} account`)
+    .action(async (account) => {
+      try {
+        await contextManager.removeAccount(provider.id, account);
+        console.log(
+          chalk.green(`✅ Removed ${provider.name} account: ${account}`),
+        );
+      } catch (error) {
+        console.error(chalk.red(`❌ Failed: ${error.message}`));
+        process.exit(1);
+      }
+    });
+});
+
+// Custom context variables
+const contextVars = program
+  .command("var")
+  .description("Manage custom environment variables for a context");
 
-github
-  .command("use <account>")
-  .description("Switch GitHub account for current context")
-  .action(async (account) => {
+contextVars
+  .command("set <key> <value>")
+  .description(
+    "Set a variable (literal, op:// reference or template like ${cloudflare.account_id})",
+  )
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .action(async (key, value, options) => {
     try {
-      await contextManager.setServiceAccount("github", account);
-      console.log(chalk.green(`✅ GitHub account set to: ${account}`));
+      const contextName = options.context || contextManager.getCurrentContext();
+      const { overridesService } = await contextManager.setContextVariable(
+        contextName,
+        key,
+        value,
+      );
+      console.log(chalk.green(`✅ Set ${key} in context: ${contextName}`));
+      if (overridesService) {
+        console.log(
+          chalk.yellow(
+            `⚠️  ${key} is also exported by a service account; the context variable wins`,
+          ),
+        );
+      }
     } catch (error) {
-      console.error(chalk.red(`❌ Failed: ${error.message}`));
+      console.error(chalk.red(`❌ Failed to set variable: ${error.message}`));
       process.exit(1);
     }
   });
 
-github
-  .command("add <name>")
-  .description("Add a new GitHub account")
-  .option("-t, --token <token>", "Personal access token")
-  .option("--token-from-1password <item>", "Fetch token from 1Password")
-  .action(async (name, options) => {
+contextVars
+  .command("unset <key>")
+  .description("Remove a variable")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .action(async (key, options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      await contextManager.unsetContextVariable(contextName, key);
+      console.log(
+        chalk.green(`✅ Removed ${key} from context: ${contextName}`),
+      );
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to unset variable: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+contextVars
+  .command("list")
+  .description("List variables for a context")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .action(async (options) => {
     try {
-      await contextManager.addGitHubAccount(name, options);
-      console.log(chalk.green(`✅ Added GitHub account: ${name}`));
+      const contextName = options.context || contextManager.getCurrentContext();
+      const vars = contextManager.listContextVariables(contextName);
+
+      console.log(chalk.bold(`\n🔧 Variables for context '${contextName}':\n`));
+      if (Object.keys(vars).length === 0) {
+        console.log(chalk.dim("  No variables set"));
+      } else {
+        Object.entries(vars).forEach(([key, value]) => {
+          console.log(`  ${chalk.green(key)} = ${value}`);
+        });
+      }
+      console.log();
     } catch (error) {
-      console.error(chalk.red(`❌ Failed: ${error.message}`));
+      console.error(chalk.red(`❌ Failed to list variables: ${error.message}`));
       process.exit(1);
     }
   });
 
-// Google commands
-const google = program
-  .command("google")
-  .description("Manage Google Workspace identities");
+/**
+ * Print variables for `env`/`env-services`, or write them with --output
+ */
+function printEnv(envVars, options) {
+  const format = options.format || options.shell;
+
+  if (options.output) {
+    writeEnvFile(options.output, envVars, format);
+    console.error(
+      chalk.green(
+        `✅ Wrote ${Object.keys(envVars).length} variables to ${options.output}`,
+      ),
+    );
+  } else {
+    console.log(formatEnv(envVars, format));
+  }
+}
 
-google
-  .command("use <email>")
-  .description("Switch Google account for current context")
-  .action(async (email) => {
+// Export environment variables for current context
+program
+  .command("env")
+  .description("Export environment variables for current context")
+  .option("-s, --shell <type>", "Shell type (bash, zsh, fish)", "bash")
+  .option("-f, --format <format>", `Output format (${FORMATS.join(", ")})`)
+  .option("-o, --output <file>", "Write to a file (mode 0600) instead")
+  .action(async (options) => {
     try {
-      await contextManager.setServiceAccount("google", email);
-      console.log(chalk.green(`✅ Google account set to: ${email}`));
+      const envVars = await contextManager.getEnvironmentVariables();
+      printEnv(envVars, options);
     } catch (error) {
-      console.error(chalk.red(`❌ Failed: ${error.message}`));
+      console.error(chalk.red(`❌ Failed to export env: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Run a command with context credentials
+program
+  .command("exec <command> [args...]")
+  .description(
+    "Run a command with the context's credentials (ctx exec -- wrangler deploy)",
+  )
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .passThroughOptions()
+  .action(async (command, args, options) => {
+    try {
+      const exitCode = await contextManager.execInContext(
+        command,
+        args,
+        options.context,
+      );
+      process.exit(exitCode);
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
       process.exit(1);
     }
   });
 
-google
-  .command("add <email>")
-  .description("Add a new Google identity")
-  .option("-c, --credentials <path>", "Path to OAuth credentials JSON")
-  .action(async (email, options) => {
+// Directory-scoped contexts
+program
+  .command("hook <shell>")
+  .description(
+    "Print a prompt hook that loads .chittycontext files (bash, zsh, fish)",
+  )
+  .action((shell) => {
     try {
-      await contextManager.addGoogleIdentity(email, options);
-      console.log(chalk.green(`✅ Added Google identity: ${email}`));
+      console.log(generateHook(shell));
     } catch (error) {
-      console.error(chalk.red(`❌ Failed: ${error.message}`));
+      console.error(chalk.red(`❌ ${error.message}`));
       process.exit(1);
     }
   });
 
-// Export environment variables for current context
 program
-  .command("env")
-  .description("Export environment variables for current context")
+  .command("hook-env", { hidden: true })
+  .description("Emit environment changes for the prompt hook")
   .option("-s, --shell <type>", "Shell type (bash, zsh, fish)", "bash")
   .action(async (options) => {
-    const envVars = await contextManager.getEnvironmentVariables();
+    try {
+      const file = findContextFile();
+      const state = file ? `${file}@${statSync(file).mtimeMs}` : "";
 
-    if (options.shell === "fish") {
-      Object.entries(envVars).forEach(([key, value]) => {
-        console.log(`set -gx ${key} "${value}"`);
-      });
-    } else {
-      Object.entries(envVars).forEach(([key, value]) => {
-        console.log(`export ${key}="${value}"`);
-      });
+      if (state === (process.env.CHITTYCONTEXT_HOOK_STATE || "")) {
+        return;
+      }
+
+      const previousKeys = (process.env.CHITTYCONTEXT_HOOK_KEYS || "")
+        .split(":")
+        .filter(Boolean);
+      const envVars = file
+        ? await contextManager.getEnvironmentVariables()
+        : {};
+
+      console.log(
+        generateHookEnv(options.shell, { state, envVars, previousKeys }),
+      );
+    } catch (error) {
+      console.error(chalk.red(`❌ chittycontext hook: ${error.message}`));
+      process.exit(1);
     }
   });
 
@@ -243,6 +473,89 @@ program
     }
   });
 
+// Credential encryption
+async function promptPassphrase(message) {
+  if (process.env.CHITTYCONTEXT_PASSPHRASE) {
+    return process.env.CHITTYCONTEXT_PASSPHRASE;
+  }
+
+  const { passphrase } = await inquirer.prompt([
+    { type: "password", name: "passphrase", message, mask: "*" },
+  ]);
+  return passphrase;
+}
+
+program
+  .command("encrypt")
+  .description("Encrypt stored tokens and connection strings at rest")
+  .option("--keyfile", "Use a local keyfile instead of a passphrase")
+  .action(async (options) => {
+    try {
+      const passphrase = options.keyfile
+        ? null
+        : await promptPassphrase("New passphrase:");
+      const count = await contextManager.enableEncryption({
+        passphrase,
+        keyfile: options.keyfile,
+      });
+      console.log(
+        chalk.green(`✅ Encryption enabled (${count} secrets encrypted)`),
+      );
+      console.log(chalk.dim(`   Unlock with: eval "$(chittycontext unlock)"`));
+    } catch (error) {
+      console.error(
+        chalk.red(`❌ Failed to enable encryption: ${error.message}`),
+      );
+      process.exit(1);
+    }
+  });
+
+program
+  .command("unlock")
+  .description(
+    'Unlock encrypted credentials for a limited time (eval "$(ctx unlock)")',
+  )
+  .option(
+    "-t, --timeout <minutes>",
+    "Minutes until credentials lock again",
+    "15",
+  )
+  .option(
+    "-s, --shell <type>",
+    "Shell type for the session export (bash, zsh, fish, nushell, powershell)",
+    "bash",
+  )
+  .action(async (options) => {
+    try {
+      const { mode } = contextManager.getEncryptionStatus();
+      const passphrase =
+        mode === "passphrase" ? await promptPassphrase("Passphrase:") : null;
+      const { expiresAt, sessionToken } =
+        await contextManager.unlockCredentials({
+          passphrase,
+          minutes: Number(options.timeout),
+        });
+      // Only the export goes to stdout, so the output can be eval'd
+      console.log(formatEnv({ [SESSION_ENV]: sessionToken }, options.shell));
+      console.error(
+        chalk.green(
+          `🔓 Unlocked until ${expiresAt.toLocaleTimeString()} for shells with ${SESSION_ENV} set`,
+        ),
+      );
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to unlock: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command("lock")
+  .description("Lock encrypted credentials")
+  .action(async () => {
+    await contextManager.lockCredentials();
+    console.log(chalk.green("🔒 Credentials locked"));
+  });
+
 // ChittyRegistry integration
 const registry = program
   .command("registry")
@@ -344,20 +657,13 @@ program
   .command("env-services")
   .description("Export environment variables including service configurations")
   .option("-s, --shell <type>", "Shell type (bash, zsh, fish)", "bash")
+  .option("-f, --format <format>", `Output format (${FORMATS.join(", ")})`)
+  .option("-o, --output <file>", "Write to a file (mode 0600) instead")
   .action(async (options) => {
     try {
       const envVars =
         await contextManager.getEnvironmentVariablesWithServices();
-
-      if (options.shell === "fish") {
-        Object.entries(envVars).forEach(([key, value]) => {
-          console.log(`set -gx ${key} "${value}"`);
-        });
-      } else {
-        Object.entries(envVars).forEach(([key, value]) => {
-          console.log(`export ${key}="${value}"`);
-        });
-      }
+      printEnv(envVars, options);
     } catch (error) {
       console.error(chalk.red(`❌ Failed to export env: ${error.message}`));
       process.exit(1);
@@ -429,6 +735,58 @@ vault
     }
   });
 
+const SYNC_STATUS_COLORS = {
+  created: chalk.green,
+  updated: chalk.yellow,
+  unchanged: chalk.dim,
+  "rolled-back": chalk.magenta,
+  failed: chalk.red,
+};
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function parseNonNegativeInteger(flag, value) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${flag} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parse --concurrency: "4" caps every service, "cloudflare=8,github=2" each
+ */
+function parseConcurrency(value) {
+  const services = ["cloudflare", "github", "neon"];
+  if (/^\d+$/.test(value)) {
+    return Object.fromEntries(
+      services.map((service) => [service, Math.max(1, Number(value))]),
+    );
+  }
+
+  return Object.fromEntries(
+    value.split(",").map((pair) => {
+      const [service, limit] = pair.split("=").map((part) => part.trim());
+      if (!services.includes(service) || !/^[1-9]\d*$/.test(limit ?? "")) {
+        throw new Error(
+          `--concurrency expects a number or service=limit pairs (services: ${services.join(", ")})`,
+        );
+      }
+      return [service, Number(limit)];
+    }),
+  );
+}
+
+// Plan symbols shared by `secrets sync --dry-run` and `queues plan`
+const PLAN_SYMBOLS = {
+  create: chalk.green("+"),
+  adopt: chalk.cyan("↓"),
+  update: chalk.yellow("~"),
+  unchanged: chalk.dim("="),
+  error: chalk.red("✗"),
+};
+
 // Secrets distribution
 const secrets = program
   .command("secrets")
@@ -437,40 +795,170 @@ const secrets = program
 secrets
   .command("sync <context>")
   .description("Sync secrets from 1Password to all configured services")
-  .action(async (context) => {
+  .option(
+    "--async",
+    "Enqueue a job for the secret-distributor worker instead of syncing locally",
+  )
+  .option("--dry-run", "Show what would be created or updated")
+  .option(
+    "--concurrency <limits>",
+    "Parallel pushes per service: a number, or e.g. cloudflare=8,github=2",
+  )
+  .option("--retries <n>", "Retries for transient failures (default: 3)")
+  .option(
+    "--no-rollback",
+    "Keep new values on targets when another target of the same secret fails",
+  )
+  .option(
+    "--manifest [file]",
+    "Sync the mappings in a manifest (defaults to ./secrets.yaml) instead of the configured ones",
+  )
+  .action(async (context, options) => {
     try {
-      console.log(chalk.blue(`🔄 Syncing secrets for context: ${context}`));
-      const results = await contextManager.distributeSecrets(context);
+      const mappings = options.manifest
+        ? await contextManager.resolveSecretManifest(
+            context,
+            loadSecretManifest(
+              options.manifest === true
+                ? findSecretManifest(process.cwd())
+                : options.manifest,
+            ),
+          )
+        : undefined;
 
-      console.log(chalk.bold("\n📊 Distribution Results:\n"));
+      if (options.dryRun) {
+        const plan = await contextManager.planSecretDistribution(context, {
+          mappings,
+        });
+        console.log(chalk.bold(`\n📋 Secret sync plan for ${context}:\n`));
+        if (plan.length === 0) {
+          console.log(chalk.dim("  No secret distribution configured"));
+        }
+        plan.forEach((step) => {
+          const detail =
+            step.action === "error" ? step.error : step.reason || step.action;
+          console.log(
+            `  ${PLAN_SYMBOLS[step.action]} ${step.service}/${step.target ?? "?"}: ${step.secret} ${chalk.dim(`(${detail})`)}`,
+          );
+        });
 
-      if (results.cloudflare.length > 0) {
+        const count = (action) =>
+          plan.filter((step) => step.action === action).length;
         console.log(
-          chalk.green(
-            `☁️  Cloudflare: ${results.cloudflare.length} secrets distributed`,
-          ),
+          `\nPlan: ${count("create")} to create, ${count("update")} to update, ${count("unchanged")} unchanged` +
+            (count("error") > 0
+              ? chalk.red(`, ${count("error")} failed`)
+              : "") +
+            chalk.dim(" (nothing written)\n"),
         );
+        return;
       }
-      if (results.github.length > 0) {
+
+      if (options.async) {
+        const job = await contextManager.enqueueSecretDistribution(context, {
+          mappings,
+        });
         console.log(
           chalk.green(
-            `🐙 GitHub: ${results.github.length} secrets distributed`,
+            `✅ Enqueued distribution of ${job.secrets} secrets to ${job.queue}`,
           ),
         );
-      }
-      if (results.neon.length > 0) {
+        console.log(chalk.dim(`   Job ID: ${job.jobId}`));
         console.log(
-          chalk.green(`🗄️  Neon: ${results.neon.length} secrets distributed`),
+          chalk.dim(
+            `   Check progress: chittycontext secrets status ${job.jobId}`,
+          ),
         );
+        return;
+      }
+
+      const syncOptions = {
+        concurrency:
+          options.concurrency && parseConcurrency(options.concurrency),
+        retries:
+          options.retries &&
+          parseNonNegativeInteger("--retries", options.retries),
+        rollback: options.rollback,
+        mappings,
+      };
+
+      console.log(chalk.blue(`🔄 Syncing secrets for context: ${context}`));
+      const { results, rollbacks, durationMs } =
+        await contextManager.distributeSecrets(context, syncOptions);
+
+      console.log(chalk.bold("\n📊 Distribution Results:\n"));
+      if (results.length === 0) {
+        console.log(chalk.dim("  No secret distribution configured\n"));
+        return;
       }
-      if (results.errors.length > 0) {
-        console.log(chalk.red(`\n❌ Errors: ${results.errors.length}`));
-        results.errors.forEach((err) => {
+      console.log(
+        formatTable(
+          ["Service", "Target", "Secret", "Status", "Attempts", "Time"],
+          results.map((result) => [
+            result.service,
+            result.target ?? "?",
+            result.secret,
+            SYNC_STATUS_COLORS[result.status](result.status),
+            result.attempts,
+            formatDuration(result.durationMs),
+          ]),
+        ),
+      );
+
+      const count = (status) =>
+        results.filter((result) => result.status === status).length;
+      console.log(
+        `\n${count("created")} created, ${count("updated")} updated, ${count("unchanged")} unchanged` +
+          (count("rolled-back") > 0
+            ? chalk.magenta(`, ${count("rolled-back")} rolled back`)
+            : "") +
+          (count("failed") > 0
+            ? chalk.red(`, ${count("failed")} failed`)
+            : "") +
+          chalk.dim(` in ${formatDuration(durationMs)}`),
+      );
+
+      const failures = results.filter((result) => result.status === "failed");
+      if (failures.length > 0) {
+        console.log(chalk.red(`\n❌ Errors:`));
+        failures.forEach((result) => {
           console.log(
-            chalk.dim(`   ${err.service}/${err.secret}: ${err.error}`),
+            chalk.dim(
+              `   ${result.service}/${result.target ?? "?"}: ${result.secret}: ${result.error}`,
+            ),
           );
         });
       }
+
+      rollbacks.forEach((rollback) => {
+        if (rollback.status === "rolled-back") {
+          console.log(
+            chalk.magenta(
+              `\n↩️  Rolled back ${rollback.item}/${rollback.field} on ${rollback.targets} target(s) to its previous value`,
+            ),
+          );
+          return;
+        }
+        console.log(
+          chalk.yellow(
+            `\n⚠️  Could not roll back ${rollback.item}/${rollback.field} (${rollback.restored}/${rollback.targets} target(s) restored):`,
+          ),
+        );
+        results
+          .filter(
+            (result) =>
+              result.item === rollback.item &&
+              result.field === rollback.field &&
+              result.rollbackError,
+          )
+          .forEach((result) => {
+            console.log(
+              chalk.dim(
+                `   ${result.service}/${result.target ?? "?"}: ${result.secret}: ${result.rollbackError}`,
+              ),
+            );
+          });
+      });
       console.log();
     } catch (error) {
       console.error(chalk.red(`❌ Failed to sync secrets: ${error.message}`));
@@ -478,43 +966,604 @@ secrets
     }
   });
 
+const JOB_STATUS_COLORS = {
+  queued: chalk.blue,
+  running: chalk.yellow,
+  completed: chalk.green,
+  partial: chalk.yellow,
+  failed: chalk.red,
+};
+
+const RESULT_SYMBOLS = {
+  success: chalk.green("✓"),
+  error: chalk.red("✗"),
+  skipped: chalk.dim("-"),
+};
+
 secrets
-  .command("configure <context> <service>")
-  .description("Configure secret distribution for a service")
-  .option("--worker <name>", "Cloudflare Worker name")
-  .option("--repo <name>", "GitHub repository (owner/repo)")
-  .option("--project <id>", "Neon project ID")
-  .option("--secret-name <name>", "Secret name")
-  .option("--vault-item <item>", "1Password vault item name")
-  .option("--vault-field <field>", "1Password vault item field")
-  .action(async (context, service, options) => {
+  .command("status <jobId>")
+  .description("Show the progress of an asynchronous distribution job")
+  .option(
+    "-c, --context <name>",
+    "Context name (defaults to the job's context)",
+  )
+  .action(async (jobId, options) => {
     try {
-      const secretConfig = {
-        name: options.secretName,
-        item: options.vaultItem,
-        field: options.vaultField || "password",
-      };
+      const job = await contextManager.getDistributionJobStatus(
+        jobId,
+        options.context,
+      );
+      const color = JOB_STATUS_COLORS[job.status] || chalk.white;
 
-      if (service === "cloudflare") {
-        secretConfig.worker = options.worker;
-      } else if (service === "github") {
-        secretConfig.repo = options.repo;
-      } else if (service === "neon") {
-        secretConfig.projectId = options.project;
+      console.log(chalk.bold(`\n📬 Distribution Job ${job.jobId}\n`));
+      console.log(`  Context:  ${chalk.cyan(job.contextName)}`);
+      console.log(`  Status:   ${color(job.status)}`);
+      if (job.enqueuedAt) {
+        console.log(chalk.dim(`  Enqueued: ${job.enqueuedAt}`));
+      }
+      if (job.startedAt) {
+        console.log(
+          chalk.dim(`  Started:  ${job.startedAt} (attempt ${job.attempts})`),
+        );
+      }
+      if (job.finishedAt) {
+        console.log(chalk.dim(`  Finished: ${job.finishedAt}`));
+      }
+      if (job.error) {
+        console.log(chalk.red(`  Error: ${job.error}`));
       }
 
-      await contextManager.configureSecretDistribution(
-        context,
-        service,
-        secretConfig,
-      );
-      console.log(
-        chalk.green(
-          `✅ Configured secret distribution for ${service} in ${context}`,
-        ),
-      );
+      if (job.results.length > 0) {
+        console.log(chalk.bold("\n  Results:"));
+        job.results.forEach((result) => {
+          console.log(
+            `    ${RESULT_SYMBOLS[result.status] || " "} ${result.service}/${result.target}: ${result.secretName}` +
+              (result.error ? chalk.dim(` (${result.error})`) : ""),
+          );
+        });
+      }
+      console.log();
     } catch (error) {
-      console.error(chalk.red(`❌ Failed to configure: ${error.message}`));
+      console.error(chalk.red(`❌ Failed to get job status: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+const INVENTORY_STATUS_COLORS = {
+  current: chalk.green,
+  unverified: chalk.cyan,
+  stale: chalk.yellow,
+  missing: chalk.red,
+  unexpected: chalk.magenta,
+  dangling: chalk.red,
+  error: chalk.red,
+};
+
+secrets
+  .command("inventory [context]")
+  .description(
+    "Show where each mapped secret is deployed and flag drift (exits 1 on drift)",
+  )
+  .option("--json", "Print the inventory as JSON")
+  .action(async (context, options) => {
+    try {
+      const contextName = context || contextManager.getCurrentContext();
+      const entries = await contextManager.getSecretInventory(contextName);
+      const count = (status) =>
+        entries.filter((entry) => entry.status === status).length;
+      const drift = entries.filter((entry) =>
+        INVENTORY_DRIFT.includes(entry.status),
+      );
+
+      if (options.json) {
+        console.log(
+          JSON.stringify(
+            {
+              context: contextName,
+              drift: drift.length > 0,
+              counts: Object.fromEntries(
+                Object.keys(INVENTORY_STATUS_COLORS).map((status) => [
+                  status,
+                  count(status),
+                ]),
+              ),
+              entries,
+            },
+            null,
+            2,
+          ),
+        );
+      } else {
+        console.log(chalk.bold(`\n🗂️  Secret inventory for ${contextName}:\n`));
+        if (entries.length === 0) {
+          console.log(chalk.dim("  No secret distribution configured\n"));
+          return;
+        }
+        console.log(
+          formatTable(
+            ["Service", "Target", "Secret", "Item", "Status", "Detail"],
+            entries.map((entry) => [
+              entry.service,
+              entry.target ?? "?",
+              entry.secret,
+              entry.item ? `${entry.item}/${entry.field}` : chalk.dim("-"),
+              INVENTORY_STATUS_COLORS[entry.status](entry.status),
+              chalk.dim(entry.detail),
+            ]),
+          ),
+        );
+        console.log(
+          `\n${Object.keys(INVENTORY_STATUS_COLORS)
+            .filter((status) => count(status) > 0)
+            .map((status) =>
+              INVENTORY_STATUS_COLORS[status](`${count(status)} ${status}`),
+            )
+            .join(", ")}\n`,
+        );
+      }
+
+      if (drift.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(
+        chalk.red(`❌ Failed to build inventory: ${error.message}`),
+      );
+      process.exit(1);
+    }
+  });
+
+const ROTATION_STATE_COLORS = {
+  ok: chalk.green,
+  due: chalk.yellow,
+  expired: chalk.red,
+  error: chalk.red,
+};
+
+const ROTATION_RESULT_COLORS = {
+  rotated: chalk.green,
+  "rolled-back": chalk.magenta,
+  partial: chalk.yellow,
+  failed: chalk.red,
+};
+
+secrets
+  .command("policy <item>")
+  .description("Set or remove the rotation policy for a 1Password item field")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .option("-f, --field <field>", "Item field to rotate", "password")
+  .option("--max-age <duration>", "Rotate after this long (e.g. 90d, 12h, 2w)")
+  .option("--window <duration>", "Rotate this long before max age", "7d")
+  .option(
+    "-g, --generator <type>",
+    `New value generator (${Object.keys(ROTATION_GENERATORS).join(", ")})`,
+    "random",
+  )
+  .option("--length <n>", "Length of random values (default 32)")
+  .option("--token-id <id>", "Cloudflare API token ID (cloudflare-token)")
+  .option("--command <path>", "Local PAT helper (github-pat)")
+  .option("--remove", "Remove the policy")
+  .action(async (item, options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      if (options.remove) {
+        contextManager.removeRotationPolicy(contextName, item, options.field);
+        console.log(
+          chalk.green(
+            `✅ Removed rotation policy for ${item}/${options.field}`,
+          ),
+        );
+        return;
+      }
+
+      const policy = contextManager.setRotationPolicy(contextName, {
+        item,
+        field: options.field,
+        maxAge: options.maxAge,
+        window: options.window,
+        generator: options.generator,
+        length: options.length,
+        tokenId: options.tokenId,
+        command: options.command,
+      });
+      console.log(
+        chalk.green(
+          `✅ ${policy.item}/${policy.field} rotates every ${policy.maxAge} (${policy.window} window) using ${policy.generator}`,
+        ),
+      );
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to set policy: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+secrets
+  .command("rotate [item]")
+  .description(
+    "Rotate a secret (or every due one), redistribute it and revoke the old value",
+  )
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .option("-f, --field <field>", "Item field to rotate", "password")
+  .option("--due", "Rotate every secret that is due or expired")
+  .option("--dry-run", "Show rotation status without rotating")
+  .action(async (item, options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const { statuses, selected, results } =
+        await contextManager.rotateSecrets(contextName, {
+          item,
+          field: options.field,
+          due: options.due,
+          dryRun: options.dryRun,
+        });
+
+      if (options.dryRun) {
+        console.log(chalk.bold(`\n🔁 Rotation status for ${contextName}:\n`));
+        if (statuses.length === 0) {
+          console.log(chalk.dim("  No rotation policies configured\n"));
+          return;
+        }
+        console.log(
+          formatTable(
+            ["Item", "Field", "Generator", "Updated", "Due", "State"],
+            statuses.map((status) => [
+              status.policy.item,
+              status.policy.field,
+              status.policy.generator,
+              status.updatedAt ?? "?",
+              status.dueAt ?? "?",
+              ROTATION_STATE_COLORS[status.state](
+                selected.includes(status)
+                  ? `${status.state} (would rotate)`
+                  : status.state,
+              ) + (status.error ? chalk.dim(` ${status.error}`) : ""),
+            ]),
+          ),
+        );
+        console.log();
+        return;
+      }
+
+      if (results.length === 0) {
+        console.log(chalk.green("✅ No secrets are due for rotation"));
+        return;
+      }
+
+      console.log(chalk.bold("\n🔁 Rotation Results:\n"));
+      results.forEach((result) => {
+        const color = ROTATION_RESULT_COLORS[result.status];
+        const targets = result.distributed
+          ? chalk.dim(
+              ` (${result.distributed.length} target(s)${result.revoked ? ", old credential revoked" : ""})`,
+            )
+          : "";
+        console.log(
+          `  ${color(result.status)} ${result.item}/${result.field}${targets}`,
+        );
+        if (result.error) {
+          console.log(chalk.dim(`     ${result.error}`));
+        }
+        (result.distributed || [])
+          .filter((entry) => entry.status === "failed")
+          .forEach((entry) => {
+            console.log(
+              chalk.dim(
+                `     ${entry.service}/${entry.target ?? "?"}: ${entry.error}`,
+              ),
+            );
+          });
+      });
+      console.log();
+
+      if (results.some((result) => result.status !== "rotated")) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to rotate secrets: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+secrets
+  .command("configure <context> <service>")
+  .description("Configure secret distribution for a service")
+  .option("--worker <name>", "Cloudflare Worker name")
+  .option("--repo <name>", "GitHub repository (owner/repo)")
+  .option("--project <id>", "Neon project ID")
+  .option("--secret-name <name>", "Secret name")
+  .option("--vault-item <item>", "1Password vault item name")
+  .option("--vault-field <field>", "1Password vault item field")
+  .action(async (context, service, options) => {
+    try {
+      const secretConfig = {
+        name: options.secretName,
+        item: options.vaultItem,
+        field: options.vaultField || "password",
+      };
+
+      if (service === "cloudflare") {
+        secretConfig.worker = options.worker;
+      } else if (service === "github") {
+        secretConfig.repo = options.repo;
+      } else if (service === "neon") {
+        secretConfig.projectId = options.project;
+      }
+
+      const { action, mapping } =
+        await contextManager.configureSecretDistribution(
+          context,
+          service,
+          secretConfig,
+        );
+      if (action === "unchanged") {
+        console.log(
+          chalk.dim(
+            `Mapping ${mapping.id} already pushes ${mapping.name} to ${describeMappingTarget(mapping)}`,
+          ),
+        );
+        return;
+      }
+      console.log(
+        chalk.green(
+          `✅ ${action === "created" ? "Configured" : "Updated"} secret distribution for ${service} in ${context} (mapping ${mapping.id})`,
+        ),
+      );
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to configure: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Plan symbol for each import action
+const IMPORT_PLAN_ACTIONS = {
+  created: "create",
+  updated: "update",
+  unchanged: "unchanged",
+};
+
+secrets
+  .command("import [file]")
+  .description(
+    "Configure the mappings in a secret manifest (defaults to ./secrets.yaml)",
+  )
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .action(async (file, options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const manifestFile = file || findSecretManifest(process.cwd());
+      const results = await contextManager.importSecretManifest(
+        contextName,
+        loadSecretManifest(manifestFile),
+      );
+
+      console.log(
+        chalk.bold(`\n📥 Imported ${manifestFile} into '${contextName}':\n`),
+      );
+      if (results.length === 0) {
+        console.log(chalk.dim("  No secrets apply to this context\n"));
+        return;
+      }
+      results.forEach(({ action, mapping }) => {
+        const symbol = PLAN_SYMBOLS[IMPORT_PLAN_ACTIONS[action]];
+        console.log(
+          `  ${symbol} ${describeMappingTarget(mapping)}: ${mapping.name} ${chalk.dim(`(${mapping.id}, ${action})`)}`,
+        );
+      });
+
+      const count = (action) =>
+        results.filter((result) => result.action === action).length;
+      console.log(
+        `\n${count("created")} created, ${count("updated")} updated, ${count("unchanged")} unchanged\n`,
+      );
+    } catch (error) {
+      console.error(
+        chalk.red(`❌ Failed to import manifest: ${error.message}`),
+      );
+      process.exit(1);
+    }
+  });
+
+function mappingTarget(mapping) {
+  return mapping.worker || mapping.repo || mapping.projectId;
+}
+
+function describeMappingTarget(mapping) {
+  return `${mapping.service}/${mappingTarget(mapping)}`;
+}
+
+secrets
+  .command("list")
+  .description("List secret distribution mappings")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .option("-s, --service <service>", "Only show mappings for this service")
+  .action(async (options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const mappings = contextManager
+        .listSecretMappings(contextName)
+        .filter(
+          (mapping) => !options.service || mapping.service === options.service,
+        );
+
+      console.log(
+        chalk.bold(`\n🔐 Secret mappings for context '${contextName}':\n`),
+      );
+      if (mappings.length === 0) {
+        console.log(chalk.dim("  No secret distribution configured\n"));
+        return;
+      }
+      console.log(
+        formatTable(
+          ["ID", "Service", "Target", "Secret", "Source"],
+          mappings.map((mapping) => [
+            chalk.cyan(mapping.id),
+            mapping.service,
+            mappingTarget(mapping),
+            mapping.name,
+            `${mapping.item}/${mapping.field || "password"}`,
+          ]),
+        ),
+      );
+      console.log();
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to list mappings: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+secrets
+  .command("show <id>")
+  .description("Show a secret distribution mapping")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .action(async (id, options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const mapping = contextManager.getSecretMapping(contextName, id);
+      const state = contextManager.getSecretMappingSyncState(
+        contextName,
+        mapping,
+      );
+
+      console.log(chalk.bold(`\n🔐 Mapping ${mapping.id}\n`));
+      console.log(`  Service: ${mapping.service}`);
+      console.log(`  Target:  ${mappingTarget(mapping)}`);
+      console.log(`  Secret:  ${chalk.cyan(mapping.name)}`);
+      console.log(
+        `  Source:  op://ChittyContext-${contextName}/${mapping.item}/${mapping.field || "password"}`,
+      );
+      console.log(
+        chalk.dim(
+          `  Synced:  ${state ? state.syncedAt : "never from this machine"}`,
+        ),
+      );
+      console.log();
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to show mapping: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+secrets
+  .command("edit <id>")
+  .description("Change a secret distribution mapping")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .option("--worker <name>", "Cloudflare Worker name")
+  .option("--repo <name>", "GitHub repository (owner/repo)")
+  .option("--project <id>", "Neon project ID")
+  .option("--secret-name <name>", "Secret name")
+  .option("--vault-item <item>", "1Password vault item name")
+  .option("--vault-field <field>", "1Password vault item field")
+  .action(async (id, options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const mapping = contextManager.updateSecretMapping(contextName, id, {
+        worker: options.worker,
+        repo: options.repo,
+        projectId: options.project,
+        name: options.secretName,
+        item: options.vaultItem,
+        field: options.vaultField,
+      });
+      console.log(
+        chalk.green(
+          `✅ Mapping ${mapping.id} pushes ${mapping.name} to ${describeMappingTarget(mapping)} from ${mapping.item}/${mapping.field || "password"}`,
+        ),
+      );
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to edit mapping: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+secrets
+  .command("remove <id>")
+  .alias("rm")
+  .description(
+    "Remove a secret distribution mapping (the secret stays on the target)",
+  )
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .action(async (id, options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const mapping = contextManager.removeSecretMapping(contextName, id);
+      console.log(
+        chalk.green(
+          `✅ Removed mapping ${mapping.id} (${mapping.name} → ${describeMappingTarget(mapping)})`,
+        ),
+      );
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to remove mapping: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Cloudflare Workers project integration
+const wrangler = program
+  .command("wrangler")
+  .description("Sync context settings into a Workers project");
+
+wrangler
+  .command("sync")
+  .description("Write account_id, queues, vars and secrets to wrangler.toml")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .option("-d, --dir <path>", "Project directory", process.cwd())
+  .option(
+    "-e, --env <name>",
+    "Write an [env.<name>] section and .dev.vars.<name>",
+  )
+  .option(
+    "--consume <queues>",
+    "Comma-separated queues this Worker consumes (keys or full names)",
+  )
+  .option("--dry-run", "Show the changes without writing files")
+  .action(async (options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const files = await contextManager.syncWrangler(contextName, {
+        dir: options.dir,
+        env: options.env,
+        dryRun: options.dryRun,
+        consume: options.consume?.split(","),
+      });
+
+      files.forEach((file) => {
+        if (!file.changed) {
+          console.log(chalk.dim(`✓ ${file.path} is up to date`));
+        } else if (!options.dryRun) {
+          console.log(chalk.green(`✅ Updated ${file.path}`));
+        } else if (file.secret) {
+          // Never print secret values, even in a preview
+          console.log(chalk.bold(`\n--- ${file.path} (values hidden)`));
+          diffDevVars(file.before, file.after).forEach(({ type, key }) => {
+            console.log(
+              type === "+"
+                ? chalk.green(`+${key}=***`)
+                : chalk.red(`-${key}=***`),
+            );
+          });
+        } else {
+          console.log(chalk.bold(`\n--- ${file.path}`));
+          diffLines(file.before, file.after).forEach(({ type, line }) => {
+            if (type === "+") {
+              console.log(chalk.green(`+${line}`));
+            } else if (type === "-") {
+              console.log(chalk.red(`-${line}`));
+            } else if (type === "@") {
+              console.log(chalk.cyan(line));
+            } else {
+              console.log(chalk.dim(` ${line}`));
+            }
+          });
+        }
+      });
+
+      if (options.dryRun) {
+        console.log(chalk.dim("\n(dry run, no files written)"));
+      }
+    } catch (error) {
+      console.error(
+        chalk.red(`❌ Failed to sync wrangler config: ${error.message}`),
+      );
       process.exit(1);
     }
   });
@@ -576,7 +1625,8 @@ queues
         console.log(chalk.dim("  No queues found"));
       } else {
         queueList.forEach((queue) => {
-          console.log(`  ${chalk.green(queue.name)}`);
+          const untracked = queue.tracked ? "" : chalk.yellow(" (untracked)");
+          console.log(`  ${chalk.green(queue.name)}${untracked}`);
           console.log(
             chalk.dim(`     Producers: ${queue.producers_total_count || 0}`),
           );
@@ -592,6 +1642,225 @@ queues
     }
   });
 
+/**
+ * Print a queue topology plan (and apply results, when present)
+ */
+function printTopologyPlan(plan) {
+  plan.actions.forEach((step) => {
+    const status =
+      step.status === "error"
+        ? chalk.red(` ✗ ${step.error}`)
+        : step.status && step.status !== "unchanged"
+          ? chalk.green(` ✓ ${step.status}`)
+          : "";
+    console.log(
+      `  ${PLAN_SYMBOLS[step.action]} ${step.name} ${chalk.dim(`(${step.action})`)}${status}`,
+    );
+  });
+  plan.extra.forEach((queue) => {
+    const where = queue.remote ? "in Cloudflare" : "in config only";
+    console.log(
+      `  ${chalk.yellow("!")} ${queue.name} ${chalk.dim(`(not in topology, ${where})`)}`,
+    );
+  });
+
+  const count = (action) =>
+    plan.actions.filter((step) => step.action === action).length;
+  console.log(
+    chalk.bold(
+      `\nPlan: ${count("create")} to create, ${count("adopt")} to adopt, ${count("update")} to update, ${count("unchanged")} unchanged, ${plan.extra.length} extra`,
+    ),
+  );
+}
+
+queues
+  .command("plan")
+  .description("Show what 'queues apply' would change")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .option("-f, --file <path>", "Topology file (defaults to ./queues.yaml)")
+  .action(async (options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const file = options.file || findTopologyFile(process.cwd());
+      const plan = await contextManager.planQueueTopology(
+        contextName,
+        loadTopology(file),
+      );
+
+      console.log(
+        chalk.bold(`\n📐 Queue plan for '${contextName}' from ${file}:\n`),
+      );
+      printTopologyPlan(plan);
+      console.log();
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to plan queues: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+queues
+  .command("apply")
+  .description("Create and track the queues described in a topology file")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .option("-f, --file <path>", "Topology file (defaults to ./queues.yaml)")
+  .action(async (options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const file = options.file || findTopologyFile(process.cwd());
+      const plan = await contextManager.applyQueueTopology(
+        contextName,
+        loadTopology(file),
+        file,
+      );
+
+      console.log(
+        chalk.bold(`\n📐 Applied queue topology to '${contextName}':\n`),
+      );
+      printTopologyPlan(plan);
+      console.log();
+
+      if (plan.actions.some((step) => step.status === "error")) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to apply queues: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+queues
+  .command("send <queue>")
+  .description(
+    "Validate a JSON message against the queue's schema and publish it",
+  )
+  .requiredOption("-f, --file <path>", "Message file (use - for stdin)")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .option(
+    "--schema <name>",
+    `Validate as (${Object.keys(MESSAGE_SCHEMAS).join(", ")})`,
+  )
+  .option("--dry-run", "Validate without publishing")
+  .action(async (queue, options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const content = readFileSync(
+        options.file === "-" ? 0 : options.file,
+        "utf8",
+      );
+
+      let message;
+      try {
+        message = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`${options.file} is not valid JSON: ${error.message}`);
+      }
+
+      const result = await contextManager.sendQueueMessage(
+        contextName,
+        queue,
+        message,
+        { schema: options.schema, dryRun: options.dryRun },
+      );
+      console.log(
+        result.sent
+          ? chalk.green(`✅ Sent message to ${result.queue}`)
+          : chalk.green(`✅ Message is valid for ${result.queue} (not sent)`),
+      );
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to send message: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+queues
+  .command("schema [queue]")
+  .description("Show the message schema for a queue, or list schemas")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .action(async (queue, options) => {
+    try {
+      if (!queue) {
+        console.log(chalk.bold("\n📨 Message Schemas:\n"));
+        Object.keys(MESSAGE_SCHEMAS).forEach((name) => {
+          console.log(`  ${chalk.green(name)}`);
+        });
+        console.log();
+        return;
+      }
+
+      const contextName = options.context || contextManager.getCurrentContext();
+      const schema = MESSAGE_SCHEMAS[queue]
+        ? MESSAGE_SCHEMAS[queue]
+        : contextManager.getQueueSchema(contextName, queue);
+      console.log(JSON.stringify(schema, null, 2));
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to show schema: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+queues
+  .command("reconcile")
+  .description("Compare tracked queues with the Cloudflare account")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .option("--adopt", "Track remote queues named for this context")
+  .option("--prune", "Stop tracking queues missing from the account")
+  .action(async (options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const report = await contextManager.reconcileQueues(contextName, {
+        adopt: options.adopt,
+        prune: options.prune,
+      });
+      const counts = (queue) =>
+        chalk.dim(
+          ` (${queue.producers} producers, ${queue.consumers} consumers)`,
+        );
+
+      console.log(
+        chalk.bold(`\n🔍 Queue drift for context '${contextName}':\n`),
+      );
+
+      report.inSync.forEach((queue) => {
+        console.log(`  ${chalk.green("✓")} ${queue.name}${counts(queue)}`);
+      });
+      report.missing.forEach((queue) => {
+        const action = report.pruned ? chalk.dim(" → pruned") : "";
+        console.log(
+          `  ${chalk.red("✗")} ${queue.name} ${chalk.red("missing in Cloudflare")}${action}`,
+        );
+      });
+      report.untracked.forEach((queue) => {
+        const action = report.adopted ? chalk.dim(" → adopted") : "";
+        console.log(
+          `  ${chalk.yellow("?")} ${queue.name} ${chalk.yellow("not tracked")}${counts(queue)}${action}`,
+        );
+      });
+
+      const drift = report.missing.length + report.untracked.length;
+      if (report.inSync.length + drift === 0) {
+        console.log(chalk.dim("  No queues found"));
+      }
+      console.log(
+        drift === 0
+          ? chalk.green("\n✅ No drift")
+          : chalk.yellow(
+              `\n⚠️  ${report.missing.length} missing, ${report.untracked.length} untracked`,
+            ),
+      );
+      if (drift > 0 && !options.adopt && !options.prune) {
+        console.log(
+          chalk.dim("   Use --adopt and/or --prune to update the config"),
+        );
+      }
+      console.log();
+    } catch (error) {
+      console.error(
+        chalk.red(`❌ Failed to reconcile queues: ${error.message}`),
+      );
+      process.exit(1);
+    }
+  });
+
 queues
   .command("delete <queue>")
   .description("Delete a queue from current context")
@@ -626,6 +1895,12 @@ queues
           console.log(`  ${chalk.green(name)}: ${queueConfig.name}`);
           console.log(chalk.dim(`     Account: ${queueConfig.accountId}`));
           console.log(chalk.dim(`     Created: ${queueConfig.createdAt}`));
+          Object.entries({
+            ...DEFAULT_CONSUMER,
+            ...queueConfig.consumer,
+          }).forEach(([setting, value]) => {
+            console.log(chalk.dim(`     ${setting}: ${value}`));
+          });
         });
       }
       console.log();
@@ -635,38 +1910,81 @@ queues
     }
   });
 
+queues
+  .command("configure <queue>")
+  .description("Set consumer settings for a queue (key or full name)")
+  .option("-c, --context <name>", "Context name (defaults to current)")
+  .option("--batch-size <n>", "Maximum messages per batch (1-100)")
+  .option("--batch-timeout <seconds>", "Maximum wait to fill a batch (0-60)")
+  .option("--retries <n>", "Delivery attempts before giving up (0-100)")
+  .option("--dead-letter-queue <queue>", "Queue that receives failed messages")
+  .option("--concurrency <n>", "Maximum concurrent consumer invocations")
+  .option("--reset", "Clear existing settings first")
+  .action(async (queue, options) => {
+    try {
+      const contextName = options.context || contextManager.getCurrentContext();
+      const consumer = contextManager.configureQueueConsumer(
+        contextName,
+        queue,
+        {
+          max_batch_size: options.batchSize,
+          max_batch_timeout: options.batchTimeout,
+          max_retries: options.retries,
+          dead_letter_queue: options.deadLetterQueue,
+          max_concurrency: options.concurrency,
+        },
+        { reset: options.reset },
+      );
+
+      console.log(chalk.green(`✅ Configured consumer for ${queue}`));
+      Object.entries({ ...DEFAULT_CONSUMER, ...consumer }).forEach(
+        ([setting, value]) => {
+          console.log(chalk.dim(`   ${setting}: ${value}`));
+        },
+      );
+    } catch (error) {
+      console.error(
+        chalk.red(`❌ Failed to configure queue: ${error.message}`),
+      );
+      process.exit(1);
+    }
+  });
+
 queues
   .command("bindings")
   .description("Generate wrangler.toml queue bindings for current context")
   .option("-c, --context <name>", "Context name (defaults to current)")
+  .option("-w, --write <file>", "Merge the bindings into a wrangler.toml file")
+  .option(
+    "--consume <queues>",
+    "Comma-separated queues this Worker consumes (keys or full names; default: all)",
+  )
   .action(async (options) => {
     try {
       const contextName = options.context || contextManager.getCurrentContext();
-      const bindings = contextManager.generateWranglerBindings(contextName);
+      const bindings = contextManager.generateWranglerBindings(contextName, {
+        consume: options.consume?.split(","),
+      });
 
-      console.log(
-        chalk.bold(`\n📝 Wrangler.toml Queue Bindings for '${contextName}':\n`),
-      );
+      if (options.write) {
+        const result = writeQueueBindings(options.write, bindings);
+        console.log(
+          result.changed
+            ? chalk.green(
+                `✅ Wrote ${bindings.length} queue bindings to ${result.path}`,
+              )
+            : chalk.dim(`✓ ${result.path} is up to date`),
+        );
+        return;
+      }
 
       if (bindings.length === 0) {
-        console.log(chalk.dim("  No queue bindings to generate"));
+        console.error(chalk.dim("No queue bindings to generate"));
       } else {
-        console.log(chalk.cyan("[[queues.consumers]]"));
-        bindings.forEach((binding) => {
-          console.log(`queue = "${binding.queue}"`);
-          console.log(`max_batch_size = 10`);
-          console.log(`max_batch_timeout = 30`);
-          console.log("");
-        });
-
-        console.log(chalk.cyan("\n[[queues.producers]]"));
-        bindings.forEach((binding) => {
-          console.log(`binding = "${binding.binding}"`);
-          console.log(`queue = "${binding.queue}"`);
-          console.log("");
-        });
+        // Plain TOML on stdout so it can be redirected or piped
+        console.log(`# Queue bindings for context '${contextName}'\n`);
+        console.log(renderQueueTables(bindings));
       }
-      console.log();
     } catch (error) {
       console.error(
         chalk.red(`❌ Failed to generate bindings: ${error.message}`),
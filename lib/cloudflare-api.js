@@ -0,0 +1,189 @@
+/**
+ * Cloudflare API - Minimal client for the account endpoints ChittyContext uses
+ */
+
+const CLOUDFLARE_API_URL =
+  process.env.CLOUDFLARE_API_URL || "https://api.cloudflare.com/client/v4";
+
+const PAGE_SIZE = 100;
+
+export class CloudflareClient {
+  /**
+   * `fetchImpl` can be replaced to run against a stubbed API
+   */
+  constructor({ accountId, token, fetchImpl = fetch }) {
+    if (!accountId || !token) {
+      throw new Error("Cloudflare account ID and API token are required");
+    }
+    this.accountId = accountId;
+    this.token = token;
+    this.fetchImpl = fetchImpl;
+  }
+
+  /**
+   * Call an API endpoint and return the parsed response envelope
+   */
+  async request(path, { method = "GET", body } = {}) {
+    const response = await this.fetchImpl(`${CLOUDFLARE_API_URL}${path}`, {
+      method,
+      headers: {
+        Accept: "application/json",
+        Authorization: `Bearer ${this.token}`,
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch {
+      // Fall through to the status check below
+    }
+
+    if (!response.ok || payload?.success === false) {
+      const detail = payload?.errors?.map((error) => error.message).join("; ");
+      throw new Error(
+        `Cloudflare API ${method} ${path} failed: ${response.status}${detail ? ` ${detail}` : ""}`,
+      );
+    }
+
+    return payload;
+  }
+
+  /**
+   * Fetch every page of a paginated list endpoint
+   *
+   * Stops at the last page `result_info` reports. A response without
+   * `result_info` is taken as the whole list, and a page that adds nothing
+   * new ends the loop, so endpoints that ignore `page` are read once.
+   */
+  async paginate(path) {
+    const results = [];
+    const seen = new Set();
+    const separator = path.includes("?") ? "&" : "?";
+
+    for (let page = 1; ; page++) {
+      const { result = [], result_info: info } = await this.request(
+        `${path}${separator}page=${page}&per_page=${PAGE_SIZE}`,
+      );
+      const fresh = result.filter((item) => {
+        const id = item.id ?? item.queue_id ?? JSON.stringify(item);
+        if (seen.has(id)) {
+          return false;
+        }
+        seen.add(id);
+        return true;
+      });
+      results.push(...fresh);
+
+      if (!info || fresh.length === 0) {
+        return results;
+      }
+      const totalPages =
+        info.total_pages ??
+        (info.total_count !== undefined
+          ? Math.ceil(info.total_count / PAGE_SIZE)
+          : null);
+      if (
+        totalPages !== null ? page >= totalPages : result.length < PAGE_SIZE
+      ) {
+        return results;
+      }
+    }
+  }
+
+  /**
+   * List the account's queues
+   */
+  async listQueues() {
+    return await this.paginate(`/accounts/${this.accountId}/queues`);
+  }
+
+  /**
+   * Publish a JSON message to a queue
+   */
+  async sendQueueMessage(queueId, body) {
+    await this.request(
+      `/accounts/${this.accountId}/queues/${queueId}/messages`,
+      { method: "POST", body: { body, content_type: "json" } },
+    );
+  }
+
+  /**
+   * Create a queue and return it
+   */
+  async createQueue(queueName) {
+    const { result } = await this.request(
+      `/accounts/${this.accountId}/queues`,
+      {
+        method: "POST",
+        body: { queue_name: queueName },
+      },
+    );
+    return result;
+  }
+
+  /**
+   * List the names of the account's Workers
+   */
+  async listWorkers() {
+    const scripts = await this.paginate(
+      `/accounts/${this.accountId}/workers/scripts`,
+    );
+    return scripts.map((script) => script.id);
+  }
+
+  /**
+   * Get an API token's details (name, policies, condition)
+   */
+  async getToken(tokenId) {
+    const { result } = await this.request(`/user/tokens/${tokenId}`);
+    return result;
+  }
+
+  /**
+   * Create an API token; the result includes its value, shown only once
+   */
+  async createToken(token) {
+    const { result } = await this.request("/user/tokens", {
+      method: "POST",
+      body: token,
+    });
+    return result;
+  }
+
+  /**
+   * Delete (revoke) an API token
+   */
+  async deleteToken(tokenId) {
+    await this.request(`/user/tokens/${tokenId}`, { method: "DELETE" });
+  }
+
+  /**
+   * List the account's Workers KV namespaces
+   */
+  async listKvNamespaces() {
+    return await this.paginate(
+      `/accounts/${this.accountId}/storage/kv/namespaces`,
+    );
+  }
+
+  /**
+   * Read a KV value as text, or null if the key does not exist
+   */
+  async getKvValue(namespaceId, key) {
+    const path = `/accounts/${this.accountId}/storage/kv/namespaces/${namespaceId}/values/${encodeURIComponent(key)}`;
+    const response = await this.fetchImpl(`${CLOUDFLARE_API_URL}${path}`, {
+      headers: { Authorization: `Bearer ${this.token}` },
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Cloudflare API GET ${path} failed: ${response.status}`);
+    }
+    return await response.text();
+  }
+}
@@ -0,0 +1,69 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CloudflareClient } from "./cloudflare-api.js";
+
+const response = (payload) => ({
+  ok: true,
+  json: async () => ({ success: true, ...payload }),
+});
+
+// Serves `items` 100 per page, as the Cloudflare list endpoints do
+function pagedFetch(items, requested) {
+  return async (url) => {
+    const { searchParams } = new URL(url);
+    requested.push(url);
+    const page = Number(searchParams.get("page"));
+    const perPage = Number(searchParams.get("per_page"));
+    return response({
+      result: items.slice((page - 1) * perPage, page * perPage),
+      result_info: { page, per_page: perPage, total_count: items.length },
+    });
+  };
+}
+
+// Ignores the page parameters and returns every item each time
+function unpagedFetch(items, requested, resultInfo) {
+  return async (url) => {
+    requested.push(url);
+    return response({
+      result: items,
+      ...(resultInfo && { result_info: resultInfo }),
+    });
+  };
+}
+
+const makeClient = (fetchImpl) =>
+  new CloudflareClient({ accountId: "acc", token: "tok", fetchImpl });
+
+describe("CloudflareClient", () => {
+  test("listWorkers reads every page", async () => {
+    const requested = [];
+    const scripts = Array.from({ length: 250 }, (_, i) => ({ id: `w${i}` }));
+    const client = makeClient(pagedFetch(scripts, requested));
+
+    const workers = await client.listWorkers();
+    assert.equal(workers.length, 250);
+    assert.equal(workers.at(-1), "w249");
+    assert.equal(requested.length, 3);
+    assert.match(requested[0], /\/accounts\/acc\/workers\/scripts\?page=1&/);
+  });
+
+  test("listWorkers reads an unpaginated endpoint once", async () => {
+    const scripts = Array.from({ length: 150 }, (_, i) => ({ id: `w${i}` }));
+
+    const requested = [];
+    const workers = await makeClient(
+      unpagedFetch(scripts, requested),
+    ).listWorkers();
+    assert.equal(workers.length, 150);
+    assert.equal(requested.length, 1);
+
+    // Page metadata without totals: the repeated page ends the loop
+    const repeated = [];
+    const again = await makeClient(
+      unpagedFetch(scripts, repeated, { page: 1, count: 150 }),
+    ).listWorkers();
+    assert.equal(again.length, 150);
+    assert.equal(repeated.length, 2);
+  });
+});
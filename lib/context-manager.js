@@ -3,21 +3,102 @@
  */
 
 import Conf from "conf";
-import { exec } from "child_process";
-import { promisify } from "util";
-import { homedir } from "os";
+import { spawn } from "child_process";
+import { createHash, randomUUID } from "crypto";
+import { homedir, constants as osConstants } from "os";
 import { join } from "path";
 import { config } from "dotenv";
-import { SecretsManager } from "./secrets-manager.js";
+import {
+  MAPPING_TARGET_FIELDS,
+  SecretsManager,
+  findItemField,
+  syncStateKey,
+  validateSecretMapping,
+} from "./secrets-manager.js";
+import { CONTEXT_FILENAME, loadDirectoryContext } from "./directory-context.js";
+import { CredentialStore } from "./credential-store.js";
+import { ProviderRegistry, optionKey } from "./providers/index.js";
+import { parseConsumerSetting, syncWranglerProject } from "./wrangler.js";
+import { CloudflareClient } from "./cloudflare-api.js";
+import { runCommand } from "./run-command.js";
+import {
+  ROTATION_GENERATORS,
+  normalizeRotationPolicy,
+  rotationStatus,
+} from "./rotation.js";
+import {
+  MESSAGE_SCHEMAS,
+  assertValidMessage,
+  buildSecretDistributionMessage,
+  jobStatusKey,
+  jobsNamespaceTitle,
+  schemaForQueue,
+} from "./queue-messages.js";
+import { manifestMappings, manifestNeedsWorkers } from "./secret-manifest.js";
+import {
+  TOPOLOGY_FIELDS,
+  contextQueueKey,
+  planTopology,
+} from "./queue-topology.js";
+
+// Build a config path from segments, escaping dots (e.g. in email addresses)
+const configPath = (...segments) =>
+  segments.map((segment) => String(segment).replace(/\./g, "\\.")).join(".");
+
+// Load environment variables (quietly, so shell hook output stays eval-safe)
+config({ quiet: true });
+
+// Queue that carries asynchronous secret distribution jobs
+const DISTRIBUTION_QUEUE = "chittycontext-secret-distribution";
+
+// Queues `queues create` makes in every context
+const DEFAULT_QUEUES = [
+  DISTRIBUTION_QUEUE,
+  "chittycontext-registry-sync",
+  "chittycontext-vault-ops",
+  "chittycontext-context-ops",
+];
+
+// Sync state key of a mapping; no two mappings may share one
+const mappingKey = (service, mapping) =>
+  syncStateKey(
+    service,
+    mapping[MAPPING_TARGET_FIELDS[service].field],
+    mapping.name,
+  );
 
-const execAsync = promisify(exec);
+/**
+ * Give mappings saved before they had ids a stable id and drop exact
+ * duplicates of an earlier mapping, without touching the config
+ *
+ * The id is derived from the mapping, so reading and migrating agree on it.
+ */
+function normalizeMappings(service, mappings) {
+  const seen = new Set();
+  return mappings.flatMap((mapping) => {
+    if (mapping.id) {
+      return [mapping];
+    }
+    const identity = `${mappingKey(service, mapping)}:${mapping.item}/${mapping.field}`;
+    if (seen.has(identity)) {
+      return [];
+    }
+    seen.add(identity);
+    const id = createHash("sha256").update(identity).digest("hex").slice(0, 8);
+    return [{ id, ...mapping }];
+  });
+}
 
-// Load environment variables
-config();
+// Result recorded for each applied queue topology action
+const APPLY_STATUS = { create: "created", adopt: "adopted", update: "updated" };
 
 export class ContextManager {
-  constructor() {
+  constructor({ fetchImpl = fetch } = {}) {
+    this.fetchImpl = fetchImpl;
     this.secretsManager = new SecretsManager();
+    this.secretCache = new Map();
+    this.contextFileWarnings = new Set();
+    this.providers = new ProviderRegistry();
     this.config = new Conf({
       projectName: "chittycontext",
       cwd: join(homedir(), ".config"),
@@ -29,30 +110,51 @@ export class ContextManager {
         contexts: {
           type: "object",
           default: {
-            default: {
-              cloudflare: null,
-              github: null,
-              google: null,
-              notion: null,
-              neon: null,
-              onepassword: null,
-              openai: null,
-              anthropic: null,
-            },
+            default: this.emptyContext(),
           },
         },
         accounts: {
           type: "object",
-          default: {
-            cloudflare: {},
-            github: {},
-            google: {},
-            notion: {},
-            neon: {},
-          },
+          default: Object.fromEntries(
+            this.providers.list().map((provider) => [provider.id, {}]),
+          ),
         },
       },
     });
+    this.credentialStore = new CredentialStore(this.config);
+  }
+
+  /**
+   * Load additional service providers from the plugin directory
+   */
+  async loadPlugins(
+    dir = process.env.CHITTYCONTEXT_PROVIDERS_DIR ||
+      join(homedir(), ".config", "chittycontext", "providers"),
+  ) {
+    return await this.providers.loadPlugins(dir);
+  }
+
+  /**
+   * Get the provider for a service
+   */
+  getProvider(service) {
+    return this.providers.get(service);
+  }
+
+  /**
+   * List registered service providers
+   */
+  listProviders() {
+    return this.providers.list();
+  }
+
+  /**
+   * Build a context with no accounts selected
+   */
+  emptyContext() {
+    return Object.fromEntries(
+      this.providers.list().map((provider) => [provider.id, null]),
+    );
   }
 
   /**
@@ -61,15 +163,11 @@ export class ContextManager {
   async initialize() {
     // Ensure default context exists
     if (!this.config.has("contexts.default")) {
-      this.config.set("contexts.default", {
-        cloudflare: null,
-        github: null,
-        google: null,
-        notion: null,
-        neon: null,
-      });
+      this.config.set("contexts.default", this.emptyContext());
     }
 
+    this.migrateSecretMappings();
+
     // Set current context if not set
     if (!this.config.has("current")) {
       this.config.set("current", "default");
@@ -112,6 +210,8 @@ export class ContextManager {
           "google",
           "notion",
           "neon",
+          "openai",
+          "anthropic",
           "1password-integration",
         ],
         metadata: {
@@ -308,58 +408,435 @@ export class ContextManager {
       throw new Error(`Context '${contextName}' does not exist`);
     }
 
+    // Nothing is decrypted or resolved here: credentials are only read when
+    // the context is exported or executed, so switching works while locked
     this.config.set("current", contextName);
 
-    // Apply environment variables for the new context
-    await this.applyContext(contextName);
-
     return true;
   }
 
+  /**
+   * Build the environment for a session-scoped context
+   *
+   * Unlike switchContext, this never touches the persisted `current` value.
+   */
+  async getSessionEnvironment(contextName) {
+    const envVars = await this.applyContext(contextName);
+    return { CHITTYCONTEXT_CURRENT: contextName, ...envVars };
+  }
+
   /**
    * Apply context by setting environment variables
+   *
+   * Values that are 1Password references (op://...) are resolved just in time
+   * unless `resolveReferences` is false.
    */
-  async applyContext(contextName) {
-    const context = this.config.get(`contexts.${contextName}`);
+  async applyContext(
+    contextName,
+    overrides = {},
+    { resolveReferences = true } = {},
+  ) {
+    const { context } = this.getEffectiveContext(contextName, overrides);
     const accounts = this.config.get("accounts");
 
     // Build environment variables
     const envVars = {};
+    const helpers = {
+      resolveReferences,
+      resolveSecretValue: (value) => this.resolveSecretValue(value),
+    };
+
+    for (const provider of this.providers.list()) {
+      const accountName = context[provider.id];
+      const storedAccount = accounts[provider.id]?.[accountName];
+
+      if (accountName && storedAccount) {
+        const account = this.revealAccount(provider.id, storedAccount);
+        Object.assign(
+          envVars,
+          await this.getProviderEnvVars(provider, account, context, helpers),
+        );
+      }
+    }
+
+    if (resolveReferences) {
+      await this.resolveSecretReferences(envVars);
+    }
+
+    // Custom context variables take precedence over service-derived ones
+    const customVars = await this.resolveContextVariables(
+      context,
+      accounts,
+      envVars,
+      { resolveReferences },
+    );
+    Object.assign(envVars, customVars);
+
+    return envVars;
+  }
+
+  /**
+   * Names of the variables a context's service accounts may export
+   *
+   * Read from the providers' declared env keys, so nothing is decrypted or
+   * resolved and this works while the credential store is locked.
+   */
+  getServiceEnvKeys(context) {
+    const accounts = this.config.get("accounts");
+    const keys = new Set();
+
+    for (const provider of this.providers.list()) {
+      const account = accounts[provider.id]?.[context[provider.id]];
+      if (!account) {
+        continue;
+      }
+      const declared = provider.env
+        ? Object.entries(provider.env)
+            .filter(([, field]) => account[field] != null)
+            .map(([envVar]) => envVar)
+        : provider.envKeys || [];
+      declared.forEach((key) => keys.add(key));
+    }
+    return keys;
+  }
+
+  /**
+   * Custom variables of a context that override a service account's variable
+   */
+  getOverriddenVariables(contextName, overrides = {}) {
+    const { context } = this.getEffectiveContext(contextName, overrides);
+    const serviceKeys = this.getServiceEnvKeys(context);
+    return Object.keys(context.vars).filter((key) => serviceKeys.has(key));
+  }
+
+  /**
+   * Resolve a context's custom variables
+   *
+   * Values may be literals, op:// references, or templates such as
+   * `https://${cloudflare.account_id}.workers.dev`, where `${service.field}`
+   * reads a field of the context's account for that service and `${NAME}`
+   * reads a service-derived or previously defined variable. Templates are
+   * only expanded in literal values; a resolved secret is used verbatim.
+   * Without `resolveReferences` the raw values are returned.
+   */
+  async resolveContextVariables(
+    context,
+    accounts,
+    serviceVars,
+    { resolveReferences = true } = {},
+  ) {
+    const vars = context.vars || {};
+
+    if (!resolveReferences) {
+      return { ...vars };
+    }
+
+    const resolved = {};
+    for (const [key, rawValue] of Object.entries(vars)) {
+      const value = String(rawValue);
+      if (value.startsWith("op://")) {
+        resolved[key] = String(await this.resolveSecretValue(value));
+        continue;
+      }
+
+      let expanded = "";
+      let offset = 0;
+
+      for (const match of value.matchAll(/\$\{([^}]+)\}/g)) {
+        expanded += value.slice(offset, match.index);
+        expanded += await this.resolveTemplateReference(match[1].trim(), key, {
+          context,
+          accounts,
+          envVars: { ...serviceVars, ...resolved },
+        });
+        offset = match.index + match[0].length;
+      }
+
+      resolved[key] = expanded + value.slice(offset);
+    }
+    return resolved;
+  }
+
+  /**
+   * Resolve one `${...}` template reference in a context variable
+   */
+  async resolveTemplateReference(
+    reference,
+    variable,
+    { context, accounts, envVars },
+  ) {
+    if (!reference.includes(".")) {
+      if (!(reference in envVars)) {
+        throw new Error(
+          `Variable ${variable} references unknown variable \${${reference}}`,
+        );
+      }
+      return envVars[reference];
+    }
+
+    const [service, ...path] = reference.split(".");
+    const field = path.join(".");
+    const storedAccount = accounts[service]?.[context[service]];
+
+    if (!storedAccount) {
+      throw new Error(
+        `Variable ${variable} references \${${reference}} but no ${service} account is set`,
+      );
+    }
+
+    const account = this.revealAccount(service, storedAccount);
+    if (account[field] === undefined || account[field] === null) {
+      throw new Error(
+        `Variable ${variable} references \${${reference}} but the ${service} account has no '${field}'`,
+      );
+    }
+
+    return await this.resolveSecretValue(String(account[field]));
+  }
+
+  /**
+   * Set a custom variable on a context
+   *
+   * Returns whether it overrides a variable exported by a service account.
+   */
+  async setContextVariable(contextName, key, value) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      throw new Error(`Invalid variable name '${key}'`);
+    }
+
+    const { context } = this.getEffectiveContext(contextName);
+    const overridesService = this.getServiceEnvKeys(context).has(key);
+
+    this.config.set(`contexts.${contextName}.vars.${key}`, value);
+    return { overridesService };
+  }
+
+  /**
+   * Remove a custom variable from a context
+   */
+  async unsetContextVariable(contextName, key) {
+    if (!this.config.has(`contexts.${contextName}.vars.${key}`)) {
+      throw new Error(
+        `Variable '${key}' is not set in context '${contextName}'`,
+      );
+    }
+
+    this.config.delete(`contexts.${contextName}.vars.${key}`);
+    return true;
+  }
+
+  /**
+   * List a context's custom variables (unresolved)
+   */
+  listContextVariables(contextName) {
+    if (!this.config.has(`contexts.${contextName}`)) {
+      throw new Error(`Context '${contextName}' does not exist`);
+    }
+    return this.config.get(`contexts.${contextName}.vars`) || {};
+  }
+
+  /**
+   * Resolve a context's inheritance chain, base context first
+   */
+  resolveContextChain(contextName) {
+    const contexts = this.config.get("contexts");
+    const names = [];
+    let name = contextName;
+
+    while (name) {
+      if (names.includes(name)) {
+        throw new Error(
+          `Context inheritance cycle: ${[...names, name].join(" -> ")}`,
+        );
+      }
+      if (!contexts[name]) {
+        throw new Error(
+          names.length === 0
+            ? `Context '${name}' does not exist`
+            : `Context '${names[names.length - 1]}' extends missing context '${name}'`,
+        );
+      }
+      names.push(name);
+      name = contexts[name].extends;
+    }
+
+    return names.reverse().map((layer) => ({
+      name: layer,
+      context: contexts[layer],
+    }));
+  }
+
+  /**
+   * Merge a context with the contexts it extends
+   *
+   * Layers are applied base first; a value set in a child (anything other
+   * than null) replaces the inherited one, and variables merge by name.
+   * `origins` and `varOrigins` record the layer each value came from.
+   */
+  getEffectiveContext(
+    contextName,
+    overrides = {},
+    overrideLayer = "overrides",
+  ) {
+    const layers = this.resolveContextChain(contextName);
+    const context = {};
+    const vars = {};
+    const origins = {};
+    const varOrigins = {};
+
+    const applyLayer = (layerName, layer) => {
+      for (const [key, value] of Object.entries(layer)) {
+        if (key === "extends") {
+          continue;
+        }
+        if (key === "vars") {
+          for (const [varName, varValue] of Object.entries(value || {})) {
+            vars[varName] = varValue;
+            varOrigins[varName] = layerName;
+          }
+        } else if (value !== null && value !== undefined) {
+          context[key] = value;
+          origins[key] = layerName;
+        }
+      }
+    };
 
-    // Cloudflare
-    if (context.cloudflare && accounts.cloudflare[context.cloudflare]) {
-      const cfAccount = accounts.cloudflare[context.cloudflare];
-      envVars.CLOUDFLARE_ACCOUNT_ID = cfAccount.account_id;
-      envVars.CLOUDFLARE_API_TOKEN = cfAccount.token;
+    for (const { name, context: layer } of layers) {
+      applyLayer(name, layer);
     }
+    applyLayer(overrideLayer, overrides);
+
+    return {
+      context: {
+        ...context,
+        extends: layers[layers.length - 1].context.extends || null,
+        vars,
+      },
+      chain: layers.map((layer) => layer.name),
+      origins,
+      varOrigins,
+    };
+  }
 
-    // GitHub
-    if (context.github && accounts.github[context.github]) {
-      const ghAccount = accounts.github[context.github];
-      envVars.GITHUB_TOKEN = ghAccount.token;
+  /**
+   * Get the environment variables a provider exports for an account
+   */
+  async getProviderEnvVars(provider, account, context, helpers) {
+    if (provider.getEnvVars) {
+      return await provider.getEnvVars(account, context, helpers);
     }
 
-    // Google
-    if (context.google && accounts.google[context.google]) {
-      const googleAccount = accounts.google[context.google];
-      envVars.GOOGLE_APPLICATION_CREDENTIALS = googleAccount.credentials_path;
+    const envVars = {};
+    for (const [envVar, field] of Object.entries(provider.env)) {
+      if (account[field] !== undefined && account[field] !== null) {
+        envVars[envVar] = account[field];
+      }
     }
+    return envVars;
+  }
 
-    // Neon
-    if (context.neon && accounts.neon[context.neon]) {
-      const neonAccount = accounts.neon[context.neon];
-      envVars.DATABASE_URL = neonAccount.connection_string;
-      envVars.NEON_DATABASE_URL = neonAccount.connection_string;
+  /**
+   * Resolve a single value that may be an op:// reference
+   */
+  async resolveSecretValue(value) {
+    if (typeof value === "string" && value.startsWith("op://")) {
+      return await this.fetch1PasswordSecret(value);
     }
+    return value;
+  }
 
+  /**
+   * Replace op:// references in an env var map with their 1Password values
+   */
+  async resolveSecretReferences(envVars) {
+    for (const [key, value] of Object.entries(envVars)) {
+      envVars[key] = await this.resolveSecretValue(value);
+    }
     return envVars;
   }
 
+  /**
+   * Run a command with a context's environment variables injected
+   *
+   * Only the child process sees the credentials; resolves to its exit code.
+   */
+  async execInContext(command, args = [], contextName = null) {
+    const resolved = this.resolveContext();
+    const envVars = contextName
+      ? await this.applyContext(contextName)
+      : await this.applyContext(resolved.name, resolved.overrides);
+
+    return await new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        stdio: "inherit",
+        env: { ...process.env, ...envVars },
+      });
+
+      child.on("error", (error) =>
+        reject(new Error(`Failed to run ${command}: ${error.message}`)),
+      );
+      child.on("exit", (code, signal) =>
+        resolve(code ?? 128 + (osConstants.signals[signal] || 0)),
+      );
+    });
+  }
+
+  /**
+   * Resolve the active context for a directory
+   *
+   * Precedence: a session context (CHITTYCONTEXT_CURRENT), then the nearest
+   * .chittycontext file, then the global `current` setting. A .chittycontext
+   * file that cannot be parsed is skipped with a warning (once per file), so
+   * it cannot lock the user out of every command below it.
+   */
+  resolveContext(cwd = process.cwd()) {
+    const sessionContext = process.env.CHITTYCONTEXT_CURRENT;
+
+    if (sessionContext) {
+      return {
+        name: sessionContext,
+        source: "session",
+        file: null,
+        overrides: {},
+      };
+    }
+
+    let directoryContext = null;
+    try {
+      directoryContext = loadDirectoryContext(cwd, {
+        services: this.providers.list().map((provider) => provider.id),
+      });
+    } catch (error) {
+      if (!this.contextFileWarnings.has(error.message)) {
+        this.contextFileWarnings.add(error.message);
+        console.warn(
+          `⚠️  Ignoring ${CONTEXT_FILENAME} (${error.message}); using the global context`,
+        );
+      }
+    }
+
+    if (directoryContext) {
+      return {
+        name: directoryContext.context,
+        source: "directory",
+        file: directoryContext.file,
+        overrides: directoryContext.overrides,
+      };
+    }
+
+    return {
+      name: this.config.get("current"),
+      source: "global",
+      file: null,
+      overrides: {},
+    };
+  }
+
   /**
    * Get current context name
    */
   getCurrentContext() {
-    return this.config.get("current");
+    return this.resolveContext().name;
   }
 
   /**
@@ -373,26 +850,30 @@ export class ContextManager {
   /**
    * Create a new context
    */
-  async createContext(name, cloneFrom = null) {
+  async createContext(name, cloneFrom = null, { extends: base = null } = {}) {
     const contexts = this.config.get("contexts");
 
     if (contexts[name]) {
       throw new Error(`Context '${name}' already exists`);
     }
 
+    if (base && cloneFrom) {
+      throw new Error("Use either --from or --extends, not both");
+    }
+
     let newContext;
-    if (cloneFrom && contexts[cloneFrom]) {
+    if (base) {
+      if (!contexts[base]) {
+        throw new Error(`Base context '${base}' does not exist`);
+      }
+      // Only overrides are stored; everything else is inherited from the base
+      newContext = { extends: base };
+    } else if (cloneFrom && contexts[cloneFrom]) {
       // Clone from existing context
       newContext = { ...contexts[cloneFrom] };
     } else {
       // Create empty context
-      newContext = {
-        cloudflare: null,
-        github: null,
-        google: null,
-        notion: null,
-        neon: null,
-      };
+      newContext = this.emptyContext();
     }
 
     this.config.set(`contexts.${name}`, newContext);
@@ -414,6 +895,15 @@ export class ContextManager {
       );
     }
 
+    const children = Object.entries(this.config.get("contexts"))
+      .filter(([, context]) => context.extends === name)
+      .map(([child]) => child);
+    if (children.length > 0) {
+      throw new Error(
+        `Context '${name}' is extended by ${children.join(", ")}`,
+      );
+    }
+
     this.config.delete(`contexts.${name}`);
     return true;
   }
@@ -436,155 +926,701 @@ export class ContextManager {
   }
 
   /**
-   * Add Cloudflare account
+   * Add an account for any registered service
+   *
+   * Field values come from the provider's CLI options; secret fields may be
+   * read from 1Password (or kept as op:// references with `storeReference`).
    */
-  async addCloudflareAccount(name, options) {
-    let token = options.token;
+  async addAccount(service, name, options = {}) {
+    const provider = this.getProvider(service);
+    let account = {};
+
+    for (const field of provider.fields) {
+      const referenceKey = field.referenceFlags
+        ? optionKey(field.referenceFlags)
+        : null;
+      const value = field.secret
+        ? await this.resolveSecretOption(
+            options,
+            optionKey(field.flags),
+            referenceKey,
+          )
+        : options[optionKey(field.flags)];
+
+      if (field.required && !value) {
+        const flags = [field.flags, field.referenceFlags]
+          .filter(Boolean)
+          .map((flags) =>
+            flags.split(/[ ,|]+/).find((f) => f.startsWith("--")),
+          );
+        throw new Error(
+          `${field.description} required (use ${flags.join(" or ")})`,
+        );
+      }
 
-    // Fetch from 1Password if specified
-    if (options.tokenFrom1password) {
-      token = await this.fetch1PasswordSecret(options.tokenFrom1password);
+      account[field.field] = value || null;
+      if (field.secret && value) {
+        account[`${field.field}_source`] = options[referenceKey]
+          ? `1password:${options[referenceKey]}`
+          : "direct";
+      }
     }
 
-    if (!token) {
-      throw new Error("Token required (use --token or --token-from-1password)");
+    if (provider.buildAccount) {
+      account = provider.buildAccount(name, account);
     }
+    provider.validate?.(account);
 
-    if (!options.accountId) {
-      throw new Error("Account ID required (use --account-id)");
+    this.config.set(
+      configPath("accounts", service, name),
+      this.protectAccount(service, account),
+    );
+
+    return true;
+  }
+
+  /**
+   * Select an account (and any provider use options) for the current context
+   */
+  async useAccount(service, accountName, options = {}) {
+    const provider = this.getProvider(service);
+    const account = this.config.get(
+      configPath("accounts", service, accountName),
+    );
+
+    const contextValues = Object.fromEntries(
+      (provider.useOptions || []).map((option) => [
+        option.contextField,
+        options[optionKey(option.flags)] || null,
+      ]),
+    );
+
+    if (account) {
+      provider.validateUse?.(account, contextValues, accountName);
     }
 
-    this.config.set(`accounts.cloudflare.${name}`, {
-      account_id: options.accountId,
-      token: token,
-      token_source: options.tokenFrom1password
-        ? `1password:${options.tokenFrom1password}`
-        : "direct",
-    });
+    await this.setServiceAccount(service, accountName);
 
+    const current = this.getCurrentContext();
+    for (const [field, value] of Object.entries(contextValues)) {
+      this.config.set(`contexts.${current}.${field}`, value);
+    }
     return true;
   }
 
+  /**
+   * Add Cloudflare account
+   */
+  async addCloudflareAccount(name, options) {
+    return await this.addAccount("cloudflare", name, options);
+  }
+
   /**
    * Get all Cloudflare accounts
    */
   getCloudflareAccounts() {
-    const accounts = this.config.get("accounts.cloudflare") || {};
-    return Object.entries(accounts).map(([name, config]) => ({
-      name,
-      ...config,
-    }));
+    return this.getAccounts("cloudflare");
   }
 
   /**
    * Add GitHub account
    */
   async addGitHubAccount(name, options) {
-    let token = options.token;
-
-    if (options.tokenFrom1password) {
-      token = await this.fetch1PasswordSecret(options.tokenFrom1password);
-    }
-
-    if (!token) {
-      throw new Error("Token required (use --token or --token-from-1password)");
-    }
-
-    this.config.set(`accounts.github.${name}`, {
-      token: token,
-      token_source: options.tokenFrom1password
-        ? `1password:${options.tokenFrom1password}`
-        : "direct",
-    });
-
-    return true;
+    return await this.addAccount("github", name, options);
   }
 
   /**
    * Add Google identity
    */
   async addGoogleIdentity(email, options) {
-    if (!options.credentials) {
-      throw new Error("Credentials path required (use --credentials)");
-    }
-
-    this.config.set(`accounts.google.${email}`, {
-      email: email,
-      credentials_path: options.credentials,
-    });
-
-    return true;
+    return await this.addAccount("google", email, options);
   }
 
   /**
-   * Fetch secret from 1Password
+   * Add Neon database account
    */
-  async fetch1PasswordSecret(itemReference) {
-    try {
-      const { stdout } = await execAsync(`op read "${itemReference}"`);
-      return stdout.trim();
-    } catch (error) {
-      throw new Error(`Failed to fetch from 1Password: ${error.message}`);
-    }
+  async addNeonAccount(name, options) {
+    return await this.addAccount("neon", name, options);
   }
 
   /**
-   * Get environment variables for current context
+   * Select a Neon account, project and branch for the current context
    */
-  async getEnvironmentVariables() {
-    const current = this.getCurrentContext();
-    return await this.applyContext(current);
+  async useNeonAccount(accountName, options = {}) {
+    return await this.useAccount("neon", accountName, options);
   }
 
   /**
-   * Get full configuration
+   * Add Notion workspace integration
    */
-  getConfig() {
-    return {
-      current: this.getCurrentContext(),
-      contexts: this.config.get("contexts"),
-      accounts: this.config.get("accounts"),
-    };
+  async addNotionAccount(name, options) {
+    return await this.addAccount("notion", name, options);
   }
 
   /**
-   * Create 1Password vault for context
+   * Add OpenAI API key
    */
-  async createContextVault(contextName) {
-    return await this.secretsManager.createVault(contextName);
+  async addOpenAIAccount(name, options) {
+    return await this.addAccount("openai", name, options);
   }
 
   /**
-   * Store secret in 1Password
+   * Add Anthropic API key
    */
-  async storeSecret(vaultName, itemName, secretData) {
-    return await this.secretsManager.storeSecret(
-      vaultName,
-      itemName,
-      secretData,
-    );
+  async addAnthropicAccount(name, options) {
+    return await this.addAccount("anthropic", name, options);
   }
 
   /**
-   * Distribute secrets to services
+   * Get all accounts for a service
    */
-  async distributeSecrets(contextName) {
-    const context = this.config.get(`contexts.${contextName}`);
-    const vaultName = `ChittyContext-${contextName}`;
+  getAccounts(service) {
+    const accounts = this.config.get(`accounts.${service}`) || {};
+    return Object.entries(accounts).map(([name, config]) => ({
+      name,
+      ...config,
+    }));
+  }
+
+  /**
+   * Remove an account and clear it from any context using it
+   */
+  async removeAccount(service, name) {
+    if (!this.config.has(configPath("accounts", service, name))) {
+      throw new Error(`Account '${name}' not found for service '${service}'`);
+    }
+
+    const contexts = this.config.get("contexts");
+    for (const [contextName, context] of Object.entries(contexts)) {
+      if (context[service] === name) {
+        this.config.set(`contexts.${contextName}.${service}`, null);
+      }
+    }
+
+    this.config.delete(configPath("accounts", service, name));
+    return true;
+  }
+
+  /**
+   * Get the names of a service's secret fields
+   */
+  getSecretFields(service) {
+    if (!this.providers.has(service)) {
+      return [];
+    }
+    return this.getProvider(service)
+      .fields.filter((field) => field.secret)
+      .map((field) => field.field);
+  }
+
+  /**
+   * Encrypt an account's secret fields if encryption is enabled
+   *
+   * 1Password references are not credentials and stay readable.
+   */
+  protectAccount(service, account) {
+    if (!this.credentialStore.isEnabled()) {
+      return account;
+    }
+
+    const protectedAccount = { ...account };
+    for (const field of this.getSecretFields(service)) {
+      const value = protectedAccount[field];
+      if (
+        typeof value === "string" &&
+        !value.startsWith("op://") &&
+        !this.credentialStore.isEncrypted(value)
+      ) {
+        protectedAccount[field] = this.credentialStore.encrypt(value);
+      }
+    }
+    return protectedAccount;
+  }
+
+  /**
+   * Decrypt an account's secret fields (throws while the store is locked)
+   */
+  revealAccount(service, account) {
+    const revealed = { ...account };
+    for (const field of this.getSecretFields(service)) {
+      if (this.credentialStore.isEncrypted(revealed[field])) {
+        revealed[field] = this.credentialStore.decrypt(revealed[field]);
+      }
+    }
+    return revealed;
+  }
+
+  /**
+   * Enable encryption at rest and encrypt every stored secret field
+   */
+  async enableEncryption({ passphrase, keyfile = false }) {
+    // Leaves the new master key unlocked in memory for this process only
+    this.credentialStore.initialize({ passphrase, keyfile });
+
+    const accounts = this.config.get("accounts");
+    let encrypted = 0;
+
+    for (const [service, serviceAccounts] of Object.entries(accounts)) {
+      if (!this.providers.has(service)) continue;
+
+      for (const [name, account] of Object.entries(serviceAccounts)) {
+        const protectedAccount = this.protectAccount(service, account);
+        encrypted += this.getSecretFields(service).filter(
+          (field) => protectedAccount[field] !== account[field],
+        ).length;
+        accounts[service][name] = protectedAccount;
+      }
+    }
+
+    this.config.set("accounts", accounts);
+    return encrypted;
+  }
+
+  /**
+   * Get encryption mode and unlock state
+   */
+  getEncryptionStatus() {
+    return {
+      enabled: this.credentialStore.isEnabled(),
+      mode: this.credentialStore.getMode(),
+      unlockedUntil: this.credentialStore.getUnlockExpiry(),
+    };
+  }
+
+  /**
+   * Unlock encrypted credentials for a number of minutes
+   *
+   * Resolves to `{ expiresAt, sessionToken }`; the token must be exported as
+   * CHITTYCONTEXT_SESSION for later commands to decrypt.
+   */
+  async unlockCredentials(options) {
+    return this.credentialStore.unlock(options);
+  }
+
+  /**
+   * Lock encrypted credentials
+   */
+  async lockCredentials() {
+    this.credentialStore.lock();
+    return true;
+  }
+
+  /**
+   * Resolve the token to store for a new account
+   *
+   * With `storeReference`, only the op:// reference is persisted and the value
+   * is read from 1Password whenever the context is exported or executed.
+   */
+  async resolveTokenOption(options) {
+    return await this.resolveSecretOption(
+      options,
+      "token",
+      "tokenFrom1password",
+    );
+  }
+
+  /**
+   * Resolve a secret given directly (valueKey) or via 1Password (referenceKey)
+   */
+  async resolveSecretOption(options, valueKey, referenceKey) {
+    const reference = options[referenceKey];
+
+    if (!reference) {
+      return options[valueKey];
+    }
+
+    if (options.storeReference) {
+      if (!reference.startsWith("op://")) {
+        throw new Error(
+          "--store-reference requires an op:// reference (e.g. op://vault/item/field)",
+        );
+      }
+      // Verify the reference is readable before saving it
+      await this.fetch1PasswordSecret(reference);
+      return reference;
+    }
+
+    return await this.fetch1PasswordSecret(reference);
+  }
+
+  /**
+   * Fetch secret from 1Password
+   *
+   * Values are cached for the lifetime of this ContextManager, so a single
+   * CLI invocation reads each reference at most once.
+   */
+  async fetch1PasswordSecret(itemReference) {
+    if (this.secretCache.has(itemReference)) {
+      return this.secretCache.get(itemReference);
+    }
+
+    try {
+      const { stdout: value } = await runCommand("op", [
+        "read",
+        "--no-newline",
+        itemReference,
+      ]);
+      this.secretCache.set(itemReference, value);
+      return value;
+    } catch (error) {
+      throw new Error(`Failed to fetch from 1Password: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get environment variables for current context
+   */
+  async getEnvironmentVariables() {
+    const { name, file, overrides } = this.resolveContext();
+
+    try {
+      return await this.applyContext(name, overrides);
+    } catch (error) {
+      if (file) {
+        throw new Error(`${error.message} (from ${file})`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get full configuration
+   */
+  getConfig() {
+    return {
+      current: this.getCurrentContext(),
+      contexts: this.config.get("contexts"),
+      accounts: this.config.get("accounts"),
+    };
+  }
+
+  /**
+   * Create 1Password vault for context
+   */
+  async createContextVault(contextName) {
+    return await this.secretsManager.createVault(contextName);
+  }
+
+  /**
+   * Store secret in 1Password
+   */
+  async storeSecret(vaultName, itemName, secretData) {
+    return await this.secretsManager.storeSecret(
+      vaultName,
+      itemName,
+      secretData,
+    );
+  }
 
-    const distributionConfig = {
+  /**
+   * Build the distribution config the secrets manager works from
+   *
+   * `filter` limits which mappings are included; `mappings` replaces the
+   * configured ones (e.g. with a manifest's).
+   */
+  getDistributionConfig(
+    contextName,
+    filter = () => true,
+    mappings = this.listSecretMappings(contextName),
+  ) {
+    const { context } = this.getEffectiveContext(contextName);
+    const forService = (service) =>
+      mappings.filter(
+        (mapping) => mapping.service === service && filter(mapping),
+      );
+
+    return {
       cloudflareAccountId: this.config.get(
         `accounts.cloudflare.${context.cloudflare}`,
       )?.account_id,
-      cloudflareSecrets:
-        this.config.get(`secrets.${contextName}.cloudflare`) || [],
-      githubSecrets: this.config.get(`secrets.${contextName}.github`) || [],
-      neonSecrets: this.config.get(`secrets.${contextName}.neon`) || [],
+      cloudflareSecrets: forService("cloudflare"),
+      githubSecrets: forService("github"),
+      neonSecrets: forService("neon"),
+      syncState: this.config.get(configPath("secretSync", contextName)) || {},
     };
+  }
 
-    return await this.secretsManager.syncSecretsToServices(
-      distributionConfig,
-      vaultName,
+  /**
+   * Preview what distributing a context's secrets would change
+   */
+  async planSecretDistribution(contextName, { mappings } = {}) {
+    return await this.secretsManager.planSecretSync(
+      this.getDistributionConfig(contextName, undefined, mappings),
+      `ChittyContext-${contextName}`,
+    );
+  }
+
+  /**
+   * Report where a context's secrets are deployed and how they have drifted
+   */
+  async getSecretInventory(contextName) {
+    return await this.secretsManager.secretInventory(
+      this.getDistributionConfig(contextName),
+      `ChittyContext-${contextName}`,
+    );
+  }
+
+  /**
+   * Distribute secrets to services
+   *
+   * `options` takes per-service `concurrency`, `retries`, `rollback` and
+   * `previousValues` (see `SecretsManager.syncSecretsToServices`), a
+   * mapping `filter` and `mappings` to use instead of the configured ones.
+   * Records a hash of each pushed value so the next sync can skip it.
+   */
+  async distributeSecrets(contextName, { filter, mappings, ...options } = {}) {
+    const report = await this.secretsManager.syncSecretsToServices(
+      this.getDistributionConfig(contextName, filter, mappings),
+      `ChittyContext-${contextName}`,
+      options,
+    );
+
+    const syncedAt = new Date().toISOString();
+    for (const { hash, ...result } of report.results) {
+      if (hash) {
+        this.config.set(
+          configPath(
+            "secretSync",
+            contextName,
+            syncStateKey(result.service, result.target, result.secret),
+          ),
+          { hash, syncedAt },
+        );
+      }
+    }
+
+    return {
+      ...report,
+      results: report.results.map(({ hash, ...result }) => result),
+    };
+  }
+
+  /**
+   * Get a context's rotation policies
+   */
+  getRotationPolicies(contextName) {
+    return (
+      this.config.get(configPath("secrets", contextName, "rotation")) || []
+    );
+  }
+
+  /**
+   * Add or replace the rotation policy for an item field
+   */
+  setRotationPolicy(contextName, policy) {
+    const normalized = normalizeRotationPolicy(policy);
+    const policies = this.getRotationPolicies(contextName).filter(
+      (existing) =>
+        existing.item !== normalized.item ||
+        existing.field !== normalized.field,
+    );
+    policies.push(normalized);
+    this.config.set(configPath("secrets", contextName, "rotation"), policies);
+    return normalized;
+  }
+
+  /**
+   * Remove the rotation policy for an item field
+   */
+  removeRotationPolicy(contextName, item, field = "password") {
+    const policies = this.getRotationPolicies(contextName);
+    const remaining = policies.filter(
+      (policy) => policy.item !== item || policy.field !== field,
+    );
+    if (remaining.length === policies.length) {
+      throw new Error(`No rotation policy for ${item}/${field}`);
+    }
+    this.config.set(configPath("secrets", contextName, "rotation"), remaining);
+  }
+
+  /**
+   * Check each rotation policy against its item's 1Password `updated_at`
+   */
+  async getRotationStatus(contextName, now = new Date()) {
+    const vaultName = `ChittyContext-${contextName}`;
+
+    return await Promise.all(
+      this.getRotationPolicies(contextName).map(async (policy) => {
+        try {
+          const item = await this.secretsManager.getItem(
+            vaultName,
+            policy.item,
+          );
+          return {
+            policy,
+            item,
+            updatedAt: item.updated_at,
+            ...rotationStatus(policy, item.updated_at, now),
+          };
+        } catch (error) {
+          return { policy, state: "error", error: error.message };
+        }
+      }),
+    );
+  }
+
+  /**
+   * Rotate secrets: issue new values, store them, redistribute, then revoke
+   *
+   * Rotates the policy for `item` (and `field`), or every due or expired
+   * secret with `due`. The old credential is revoked only when every target
+   * mapped to the secret accepted the new value. When some target rejects it
+   * and the others were rolled back to the old value, 1Password is restored
+   * too and the new credential discarded ("rolled-back"); otherwise the new
+   * value stays and both credentials remain valid ("partial"), with the old
+   * token's id kept as the policy's and the result's `previousTokenId`.
+   */
+  async rotateSecrets(
+    contextName,
+    { item, field = "password", due = false, dryRun = false, ...options } = {},
+  ) {
+    if (!item && !due) {
+      throw new Error("Name an item to rotate or pass --due");
+    }
+
+    const statuses = await this.getRotationStatus(contextName);
+    const selected = statuses.filter((status) =>
+      item
+        ? status.policy.item === item && status.policy.field === field
+        : status.state === "due" || status.state === "expired",
+    );
+    if (item && selected.length === 0) {
+      throw new Error(`No rotation policy for ${item}/${field}`);
+    }
+    if (dryRun) {
+      return { statuses, selected, results: [] };
+    }
+
+    const vaultName = `ChittyContext-${contextName}`;
+    const results = [];
+
+    for (const status of selected) {
+      const { policy } = status;
+      const result = { item: policy.item, field: policy.field };
+      results.push(result);
+
+      if (status.state === "error") {
+        Object.assign(result, { status: "failed", error: status.error });
+        continue;
+      }
+
+      try {
+        const currentValue = findItemField(status.item, policy.field)?.value;
+        const issued = await ROTATION_GENERATORS[policy.generator].issue(
+          policy,
+          {
+            currentValue,
+            getCloudflareClient: () => this.getCloudflareClient(contextName),
+          },
+        );
+        await this.secretsManager.updateItemField(
+          vaultName,
+          policy.item,
+          policy.field,
+          issued.value,
+        );
+        // Later reads (e.g. of a rotated account token) must see the new value
+        this.secretCache.clear();
+
+        // The new value is live in 1Password from here on
+        this.updateRotationPolicy(contextName, policy, {
+          ...issued.state,
+          lastRotatedAt: new Date().toISOString(),
+        });
+
+        const distribution = await this.distributeSecrets(contextName, {
+          ...options,
+          previousValues: { [`${policy.item}/${policy.field}`]: currentValue },
+          filter: (mapping) =>
+            mapping.item === policy.item &&
+            (mapping.field || "password") === policy.field,
+        });
+        const failed = distribution.results.filter(
+          (entry) => entry.status === "failed",
+        );
+        Object.assign(result, { distributed: distribution.results });
+
+        const live = distribution.results.some(
+          (entry) => entry.status === "created" || entry.status === "updated",
+        );
+        if (failed.length > 0 && !live && currentValue !== undefined) {
+          // No target kept the new value, so neither does 1Password
+          await this.secretsManager.updateItemField(
+            vaultName,
+            policy.item,
+            policy.field,
+            currentValue,
+          );
+          this.secretCache.clear();
+          this.replaceRotationPolicy(contextName, policy);
+          if (issued.discard) {
+            await issued.discard();
+          }
+          Object.assign(result, {
+            status: "rolled-back",
+            revoked: false,
+            error: `${failed.length} target(s) failed; the old value was restored everywhere`,
+          });
+          continue;
+        }
+
+        if (failed.length > 0) {
+          // The policy now holds the new token; remember the old one, which
+          // stays valid and has to be revoked by hand
+          const previous = policy.tokenId && {
+            previousTokenId: policy.tokenId,
+          };
+          if (previous) {
+            this.updateRotationPolicy(contextName, policy, previous);
+          }
+          Object.assign(result, {
+            status: "partial",
+            revoked: false,
+            ...previous,
+            error: `${failed.length} target(s) failed; the old credential was kept${previous ? ` (token ${previous.previousTokenId})` : ""}`,
+          });
+          continue;
+        }
+
+        if (issued.revoke) {
+          await issued.revoke();
+        }
+        Object.assign(result, {
+          status: "rotated",
+          revoked: Boolean(issued.revoke),
+        });
+      } catch (error) {
+        Object.assign(result, { status: "failed", error: error.message });
+      }
+    }
+
+    return { statuses, selected, results };
+  }
+
+  /**
+   * Merge changes into a stored rotation policy
+   */
+  updateRotationPolicy(contextName, policy, changes) {
+    this.replaceRotationPolicy(contextName, {
+      ...this.getRotationPolicies(contextName).find(
+        (existing) =>
+          existing.item === policy.item && existing.field === policy.field,
+      ),
+      ...changes,
+    });
+  }
+
+  /**
+   * Overwrite the stored policy for the same item field
+   */
+  replaceRotationPolicy(contextName, policy) {
+    this.config.set(
+      configPath("secrets", contextName, "rotation"),
+      this.getRotationPolicies(contextName).map((existing) =>
+        existing.item === policy.item && existing.field === policy.field
+          ? policy
+          : existing,
+      ),
     );
   }
 
@@ -597,20 +1633,323 @@ export class ContextManager {
 
   /**
    * Configure secret distribution for a service
+   *
+   * Configuring a secret name the target already maps updates that mapping
+   * instead of adding a second one. Returns `{ action, mapping }` where
+   * action is "created", "updated" or "unchanged".
    */
   async configureSecretDistribution(contextName, service, secretConfig) {
-    const secretsPath = `secrets.${contextName}.${service}`;
-    const existingSecrets = this.config.get(secretsPath) || [];
-    existingSecrets.push(secretConfig);
-    this.config.set(secretsPath, existingSecrets);
-    return true;
+    validateSecretMapping(service, secretConfig);
+    this.migrateSecretMappings(contextName);
+
+    const existing = this.listSecretMappings(contextName).find(
+      (mapping) =>
+        mapping.service === service &&
+        mappingKey(service, mapping) === mappingKey(service, secretConfig),
+    );
+    if (existing) {
+      const field = secretConfig.field || "password";
+      if (
+        existing.item === secretConfig.item &&
+        (existing.field || "password") === field
+      ) {
+        return { action: "unchanged", mapping: existing };
+      }
+      return {
+        action: "updated",
+        mapping: this.updateSecretMapping(contextName, existing.id, {
+          item: secretConfig.item,
+          field,
+        }),
+      };
+    }
+
+    const mapping = { id: randomUUID().slice(0, 8), ...secretConfig };
+    const secretsPath = configPath("secrets", contextName, service);
+    this.config.set(secretsPath, [
+      ...(this.config.get(secretsPath) || []),
+      mapping,
+    ]);
+    return { action: "created", mapping: { service, ...mapping } };
+  }
+
+  /**
+   * List a context's distribution mappings, each with its service and id
+   *
+   * Mappings saved before they had ids are listed with the id the migration
+   * will give them; the config is not changed.
+   */
+  listSecretMappings(contextName) {
+    return Object.keys(MAPPING_TARGET_FIELDS).flatMap((service) =>
+      normalizeMappings(
+        service,
+        this.config.get(configPath("secrets", contextName, service)) || [],
+      ).map((mapping) => ({ service, ...mapping })),
+    );
+  }
+
+  /**
+   * Save ids for mappings that predate them and drop exact duplicates, in
+   * one context or all of them
+   *
+   * Returns the number of service mapping lists rewritten.
+   */
+  migrateSecretMappings(contextName) {
+    const contexts = contextName
+      ? [contextName]
+      : Object.keys(this.config.get("secrets") || {});
+    let migrated = 0;
+
+    for (const name of contexts) {
+      for (const service of Object.keys(MAPPING_TARGET_FIELDS)) {
+        const secretsPath = configPath("secrets", name, service);
+        const mappings = this.config.get(secretsPath) || [];
+        if (mappings.some((mapping) => !mapping.id)) {
+          this.config.set(secretsPath, normalizeMappings(service, mappings));
+          migrated++;
+        }
+      }
+    }
+    return migrated;
+  }
+
+  /**
+   * Find a mapping by id (or a unique prefix of it)
+   */
+  getSecretMapping(contextName, id) {
+    const matches = this.listSecretMappings(contextName).filter((mapping) =>
+      mapping.id.startsWith(id),
+    );
+    const exact = matches.find((mapping) => mapping.id === id);
+    if (exact) {
+      return exact;
+    }
+    if (matches.length === 0 || !id) {
+      throw new Error(`No secret mapping '${id}' in context '${contextName}'`);
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `Mapping id '${id}' is ambiguous (${matches.map((mapping) => mapping.id).join(", ")})`,
+      );
+    }
+    return matches[0];
+  }
+
+  /**
+   * Change a mapping's target, secret name or 1Password source
+   *
+   * Sync state recorded for the old target and name is dropped, so the next
+   * sync pushes the secret to its new destination.
+   */
+  updateSecretMapping(contextName, id, changes) {
+    this.migrateSecretMappings(contextName);
+    const { service, ...current } = this.getSecretMapping(contextName, id);
+    const updated = { ...current };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined) {
+        continue;
+      }
+      const otherService = Object.keys(MAPPING_TARGET_FIELDS).find(
+        (other) =>
+          other !== service && MAPPING_TARGET_FIELDS[other].field === key,
+      );
+      if (otherService) {
+        throw new Error(`A ${service} mapping has no ${key}`);
+      }
+      updated[key] = value;
+    }
+    validateSecretMapping(service, updated);
+
+    const duplicate = this.listSecretMappings(contextName).find(
+      (mapping) =>
+        mapping.id !== current.id &&
+        mapping.service === service &&
+        mappingKey(service, mapping) === mappingKey(service, updated),
+    );
+    if (duplicate) {
+      throw new Error(
+        `Mapping ${duplicate.id} already pushes ${updated.name} to that ${MAPPING_TARGET_FIELDS[service].field}`,
+      );
+    }
+
+    const secretsPath = configPath("secrets", contextName, service);
+    this.config.set(
+      secretsPath,
+      this.config
+        .get(secretsPath)
+        .map((mapping) => (mapping.id === current.id ? updated : mapping)),
+    );
+    if (mappingKey(service, current) !== mappingKey(service, updated)) {
+      this.config.delete(
+        configPath("secretSync", contextName, mappingKey(service, current)),
+      );
+    }
+    return { service, ...updated };
+  }
+
+  /**
+   * Remove a mapping and its recorded sync state
+   *
+   * The secret itself is left on the target.
+   */
+  removeSecretMapping(contextName, id) {
+    this.migrateSecretMappings(contextName);
+    const { service, ...removed } = this.getSecretMapping(contextName, id);
+    const secretsPath = configPath("secrets", contextName, service);
+    this.config.set(
+      secretsPath,
+      this.config
+        .get(secretsPath)
+        .filter((mapping) => mapping.id !== removed.id),
+    );
+    this.config.delete(
+      configPath("secretSync", contextName, mappingKey(service, removed)),
+    );
+    return { service, ...removed };
+  }
+
+  /**
+   * When a mapping was last synced from this machine, if ever
+   */
+  getSecretMappingSyncState(contextName, mapping) {
+    return (
+      this.config.get(
+        configPath(
+          "secretSync",
+          contextName,
+          mappingKey(mapping.service, mapping),
+        ),
+      ) || null
+    );
+  }
+
+  /**
+   * Get a context's distribution mappings in the queue message format
+   */
+  getSecretMappings(
+    contextName,
+    mappings = this.listSecretMappings(contextName),
+  ) {
+    return mappings.map((secret) => ({
+      service: secret.service,
+      ...(secret.worker && { worker: secret.worker }),
+      ...(secret.repo && { repo: secret.repo }),
+      ...(secret.projectId && { project: secret.projectId }),
+      secretName: secret.name,
+      vaultItem: secret.item,
+      ...(secret.field && { vaultField: secret.field }),
+    }));
+  }
+
+  /**
+   * Expand a secret manifest into mappings for a context
+   *
+   * Worker globs are matched against the context's Cloudflare account.
+   */
+  async resolveSecretManifest(contextName, manifest) {
+    const workers = manifestNeedsWorkers(manifest, contextName)
+      ? await (await this.getCloudflareClient(contextName)).listWorkers()
+      : [];
+    return manifestMappings(manifest, contextName, { workers });
+  }
+
+  /**
+   * Configure every mapping a manifest expands to in a context
+   *
+   * Returns one `{ action, mapping }` per mapping (see
+   * `configureSecretDistribution`). Configured mappings the manifest does
+   * not mention are left alone.
+   */
+  async importSecretManifest(contextName, manifest) {
+    const mappings = await this.resolveSecretManifest(contextName, manifest);
+    const results = [];
+    for (const { service, ...mapping } of mappings) {
+      results.push(
+        await this.configureSecretDistribution(contextName, service, mapping),
+      );
+    }
+    return results;
+  }
+
+  /**
+   * Enqueue a distribution job for the secret-distributor worker
+   *
+   * The job is recorded locally so `getDistributionJobStatus` can find its
+   * context from the job ID alone.
+   */
+  async enqueueSecretDistribution(contextName, { mappings } = {}) {
+    const secrets = this.getSecretMappings(contextName, mappings);
+    if (secrets.length === 0) {
+      throw new Error(
+        `No secret distribution configured for context '${contextName}'`,
+      );
+    }
+
+    const jobId = randomUUID();
+    const message = buildSecretDistributionMessage({
+      contextName,
+      secrets,
+      jobId,
+    });
+    const { queue } = await this.sendQueueMessage(
+      contextName,
+      DISTRIBUTION_QUEUE,
+      message,
+    );
+
+    const job = {
+      context: contextName,
+      queue,
+      enqueuedAt: message.timestamp,
+      secrets: secrets.length,
+    };
+    this.config.set(configPath("jobs", jobId), job);
+    return { jobId, ...job };
+  }
+
+  /**
+   * Read a distribution job's status from the worker's KV namespace
+   *
+   * Jobs the worker has not picked up yet are reported as "queued".
+   */
+  async getDistributionJobStatus(jobId, contextName = null) {
+    const job = this.config.get(configPath("jobs", jobId));
+    const context = contextName || job?.context;
+    if (!context) {
+      throw new Error(
+        `Unknown job '${jobId}' (pass --context to look it up remotely)`,
+      );
+    }
+
+    const client = await this.getCloudflareClient(context);
+    const title = jobsNamespaceTitle(context);
+    const namespace = (await client.listKvNamespaces()).find(
+      (candidate) => candidate.title === title,
+    );
+    if (!namespace) {
+      throw new Error(
+        `KV namespace '${title}' not found (is the secret-distributor worker deployed?)`,
+      );
+    }
+
+    const value = await client.getKvValue(namespace.id, jobStatusKey(jobId));
+    if (value === null) {
+      return {
+        jobId,
+        contextName: context,
+        status: "queued",
+        enqueuedAt: job?.enqueuedAt,
+        results: [],
+      };
+    }
+    return { enqueuedAt: job?.enqueuedAt, ...JSON.parse(value) };
   }
 
   /**
    * Create Cloudflare Queues for current context
    */
   async createQueues(contextName, options = {}) {
-    const context = this.config.get(`contexts.${contextName}`);
+    const { context } = this.getEffectiveContext(contextName);
     const cloudflareAccount = this.config.get(
       `accounts.cloudflare.${context.cloudflare}`,
     );
@@ -624,12 +1963,7 @@ export class ContextManager {
     const accountId = cloudflareAccount.account_id;
 
     // Default ChittyContext queues
-    const queueNames = [
-      "chittycontext-secret-distribution",
-      "chittycontext-registry-sync",
-      "chittycontext-vault-ops",
-      "chittycontext-context-ops",
-    ];
+    const queueNames = [...DEFAULT_QUEUES];
 
     // Add blockchain queue if requested
     if (options.blockchain) {
@@ -646,9 +1980,9 @@ export class ContextManager {
     for (const queueName of queueNames) {
       try {
         const fullQueueName = `${queueName}-${contextName}`;
-        const { stdout } = await execAsync(
-          `CLOUDFLARE_ACCOUNT_ID=${accountId} wrangler queues create ${fullQueueName}`,
-        );
+        await runCommand("wrangler", ["queues", "create", fullQueueName], {
+          env: { ...process.env, CLOUDFLARE_ACCOUNT_ID: accountId },
+        });
 
         // Store queue config
         this.config.set(`queues.${contextName}.${queueName}`, {
@@ -671,45 +2005,294 @@ export class ContextManager {
   }
 
   /**
-   * List queues for current context
+   * Get a Cloudflare API client for a context's account
    */
-  async listQueues(contextName) {
-    const context = this.config.get(`contexts.${contextName}`);
-    const cloudflareAccount = this.config.get(
-      `accounts.cloudflare.${context.cloudflare}`,
+  async getCloudflareClient(contextName) {
+    const { context } = this.getEffectiveContext(contextName);
+    const storedAccount = this.config.get(
+      configPath("accounts", "cloudflare", context.cloudflare),
     );
 
-    if (!cloudflareAccount) {
+    if (!context.cloudflare || !storedAccount) {
       throw new Error(
         `No Cloudflare account configured for context '${contextName}'`,
       );
     }
 
-    const accountId = cloudflareAccount.account_id;
+    const account = this.revealAccount("cloudflare", storedAccount);
+    return new CloudflareClient({
+      accountId: account.account_id,
+      token: await this.resolveSecretValue(account.token),
+      fetchImpl: this.fetchImpl,
+    });
+  }
 
-    try {
-      const { stdout } = await execAsync(
-        `CLOUDFLARE_ACCOUNT_ID=${accountId} wrangler queues list`,
-      );
+  /**
+   * Match remote queue names that belong to a context but are not tracked
+   *
+   * Returns `(name) => key | null`. Names follow
+   * `{service}-{operation}-{context}`; names another context tracks or whose
+   * suffix is a longer context's (see contextQueueKey) are not claimed.
+   */
+  untrackedQueueMatcher(contextName) {
+    const contexts = Object.keys(this.config.get("contexts") || {});
+    const queues = this.config.get("queues") || {};
+    const trackedElsewhere = new Set(
+      Object.entries(queues)
+        .filter(([name]) => name !== contextName)
+        .flatMap(([, entries]) =>
+          Object.values(entries).map((entry) => entry.name),
+        ),
+    );
+
+    return (name) =>
+      trackedElsewhere.has(name)
+        ? null
+        : contextQueueKey(name, contextName, contexts);
+  }
+
+  /**
+   * List the context's queues as they exist in the Cloudflare account
+   *
+   * Includes tracked queues and untracked ones named for this context.
+   */
+  async listQueues(contextName) {
+    const client = await this.getCloudflareClient(contextName);
+    const tracked = new Set(
+      Object.values(this.getQueueConfig(contextName)).map(
+        (queue) => queue.name,
+      ),
+    );
+    const untrackedKey = this.untrackedQueueMatcher(contextName);
 
-      // Parse the table output from wrangler
-      // Return stored queue config instead
-      const queues = this.config.get(`queues.${contextName}`, {});
-      return Object.entries(queues).map(([key, value]) => ({
-        name: value.name,
-        accountId: value.accountId,
-        createdAt: value.createdAt,
-      }));
+    try {
+      const remote = await client.listQueues();
+      return remote
+        .filter(
+          (queue) =>
+            tracked.has(queue.queue_name) || untrackedKey(queue.queue_name),
+        )
+        .map((queue) => ({
+          ...queue,
+          name: queue.queue_name,
+          tracked: tracked.has(queue.queue_name),
+        }));
     } catch (error) {
       throw new Error(`Failed to list queues: ${error.message}`);
     }
   }
 
+  /**
+   * Compare tracked queues with the Cloudflare account
+   *
+   * Reports queues tracked in config but missing remotely, remote queues
+   * named for this context (see untrackedQueueMatcher) but untracked, and
+   * producer/consumer counts of the queues present in both. `adopt` starts
+   * tracking the untracked queues; `prune` stops tracking the missing ones.
+   * Remote queues are never created or deleted here.
+   */
+  async reconcileQueues(contextName, { adopt = false, prune = false } = {}) {
+    const client = await this.getCloudflareClient(contextName);
+    const remote = await client.listQueues();
+    const remoteByName = new Map(
+      remote.map((queue) => [queue.queue_name, queue]),
+    );
+    const tracked = this.getQueueConfig(contextName);
+    const trackedNames = new Set(
+      Object.values(tracked).map((queue) => queue.name),
+    );
+
+    const untrackedKey = this.untrackedQueueMatcher(contextName);
+
+    const report = { inSync: [], missing: [], untracked: [] };
+
+    for (const [key, queue] of Object.entries(tracked)) {
+      const remoteQueue = remoteByName.get(queue.name);
+      if (!remoteQueue) {
+        report.missing.push({ key, name: queue.name });
+        if (prune) {
+          this.config.delete(configPath("queues", contextName, key));
+        }
+        continue;
+      }
+
+      report.inSync.push({
+        key,
+        name: queue.name,
+        queueId: remoteQueue.queue_id,
+        producers: remoteQueue.producers_total_count ?? 0,
+        consumers: remoteQueue.consumers_total_count ?? 0,
+      });
+    }
+
+    for (const queue of remote) {
+      const key = untrackedKey(queue.queue_name);
+      if (trackedNames.has(queue.queue_name) || !key) {
+        continue;
+      }
+
+      report.untracked.push({
+        key,
+        name: queue.queue_name,
+        queueId: queue.queue_id,
+        producers: queue.producers_total_count ?? 0,
+        consumers: queue.consumers_total_count ?? 0,
+      });
+
+      if (adopt) {
+        this.config.set(configPath("queues", contextName, key), {
+          name: queue.queue_name,
+          accountId: client.accountId,
+          queueId: queue.queue_id,
+          createdAt: queue.created_on,
+          adoptedAt: new Date().toISOString(),
+        });
+      }
+    }
+
+    return { ...report, adopted: adopt, pruned: prune };
+  }
+
+  /**
+   * Plan the changes needed to match a queue topology
+   */
+  async planQueueTopology(contextName, topology) {
+    const client = await this.getCloudflareClient(contextName);
+    return planTopology(topology, contextName, {
+      tracked: this.getQueueConfig(contextName),
+      remote: await client.listQueues(),
+    });
+  }
+
+  /**
+   * Create missing queues from a topology and record it in config
+   *
+   * Existing queues are never recreated; their config entries are adopted
+   * or updated. Queues absent from the topology are left alone.
+   */
+  async applyQueueTopology(contextName, topology, source) {
+    const client = await this.getCloudflareClient(contextName);
+    const plan = planTopology(topology, contextName, {
+      tracked: this.getQueueConfig(contextName),
+      remote: await client.listQueues(),
+    });
+
+    for (const step of plan.actions) {
+      if (step.action === "unchanged") {
+        step.status = "unchanged";
+        continue;
+      }
+
+      const path = configPath("queues", contextName, step.key);
+      const existing = Object.fromEntries(
+        Object.entries(this.config.get(path) || {}).filter(
+          ([field]) => !TOPOLOGY_FIELDS.includes(field),
+        ),
+      );
+
+      try {
+        let { queueId } = step;
+        let createdAt = step.createdAt || existing.createdAt;
+        if (step.action === "create") {
+          const created = await client.createQueue(step.name);
+          queueId = created?.queue_id;
+          createdAt = created?.created_on || new Date().toISOString();
+        }
+
+        this.config.set(path, {
+          ...existing,
+          ...step.desired,
+          accountId: client.accountId,
+          queueId,
+          createdAt: createdAt || new Date().toISOString(),
+        });
+        step.status = APPLY_STATUS[step.action];
+      } catch (error) {
+        step.status = "error";
+        step.error = error.message;
+      }
+    }
+
+    this.config.set(configPath("queueTopology", contextName), {
+      source,
+      appliedAt: new Date().toISOString(),
+    });
+
+    return plan;
+  }
+
+  /**
+   * Get the message schema for a context queue
+   *
+   * `schemaName` overrides the schema recorded for the queue.
+   */
+  getQueueSchema(contextName, queue, schemaName) {
+    if (schemaName) {
+      if (!MESSAGE_SCHEMAS[schemaName]) {
+        throw new Error(
+          `Unknown message schema '${schemaName}' (use ${Object.keys(MESSAGE_SCHEMAS).join(", ")})`,
+        );
+      }
+      return MESSAGE_SCHEMAS[schemaName];
+    }
+
+    const key = this.findQueueKey(contextName, queue);
+    const schema = schemaForQueue(key, this.getQueueConfig(contextName)[key]);
+    if (!schema) {
+      throw new Error(
+        `Queue '${queue}' has no message schema (set one in its topology or pass --schema)`,
+      );
+    }
+    return schema;
+  }
+
+  /**
+   * Validate a message against a queue's schema and publish it
+   *
+   * With `dryRun`, the message is only validated.
+   */
+  async sendQueueMessage(
+    contextName,
+    queue,
+    message,
+    { schema: schemaName, dryRun = false } = {},
+  ) {
+    const key = this.findQueueKey(contextName, queue);
+    const entry = this.getQueueConfig(contextName)[key];
+    assertValidMessage(
+      this.getQueueSchema(contextName, queue, schemaName),
+      message,
+    );
+
+    if (dryRun) {
+      return { queue: entry.name, sent: false };
+    }
+
+    const client = await this.getCloudflareClient(contextName);
+    let { queueId } = entry;
+    if (!queueId) {
+      const remote = (await client.listQueues()).find(
+        (candidate) => candidate.queue_name === entry.name,
+      );
+      if (!remote) {
+        throw new Error(`Queue '${entry.name}' does not exist in Cloudflare`);
+      }
+      queueId = remote.queue_id;
+      this.config.set(
+        configPath("queues", contextName, key, "queueId"),
+        queueId,
+      );
+    }
+
+    await client.sendQueueMessage(queueId, message);
+    return { queue: entry.name, sent: true };
+  }
+
   /**
    * Delete queue for context
    */
   async deleteQueue(contextName, queueName) {
-    const context = this.config.get(`contexts.${contextName}`);
+    const { context } = this.getEffectiveContext(contextName);
     const cloudflareAccount = this.config.get(
       `accounts.cloudflare.${context.cloudflare}`,
     );
@@ -724,9 +2307,9 @@ export class ContextManager {
     const fullQueueName = `${queueName}-${contextName}`;
 
     try {
-      await execAsync(
-        `CLOUDFLARE_ACCOUNT_ID=${accountId} wrangler queues delete ${fullQueueName}`,
-      );
+      await runCommand("wrangler", ["queues", "delete", fullQueueName], {
+        env: { ...process.env, CLOUDFLARE_ACCOUNT_ID: accountId },
+      });
 
       // Remove from config
       this.config.delete(`queues.${contextName}.${queueName}`);
@@ -744,28 +2327,146 @@ export class ContextManager {
     return this.config.get(`queues.${contextName}`) || {};
   }
 
+  /**
+   * Find a context queue's config key by key or full queue name
+   */
+  findQueueKey(contextName, queue) {
+    const queues = this.config.get(`queues.${contextName}`) || {};
+    const key =
+      queue in queues
+        ? queue
+        : Object.keys(queues).find((name) => queues[name].name === queue);
+
+    if (!key) {
+      throw new Error(`Queue '${queue}' not found in context '${contextName}'`);
+    }
+    return key;
+  }
+
+  /**
+   * Set consumer settings (batching, retries, dead-letter queue) for a queue
+   *
+   * Settings use wrangler.toml field names; `reset` clears earlier settings.
+   */
+  configureQueueConsumer(contextName, queue, settings, { reset = false } = {}) {
+    const key = this.findQueueKey(contextName, queue);
+    const path = configPath("queues", contextName, key, "consumer");
+    const consumer = reset ? {} : { ...this.config.get(path) };
+
+    for (const [field, value] of Object.entries(settings)) {
+      if (value === undefined) {
+        continue;
+      }
+      if (field === "dead_letter_queue") {
+        // Accept a queue key from this context as shorthand for its full name
+        const queues = this.config.get(`queues.${contextName}`);
+        consumer[field] = queues[value]?.name || value;
+      } else {
+        consumer[field] = parseConsumerSetting(field, value);
+      }
+    }
+
+    this.config.set(path, consumer);
+    return consumer;
+  }
+
   /**
    * Generate wrangler.toml queue bindings for context
+   *
+   * Every queue gets a producer binding. Without `consume` every queue is
+   * marked as consumed; with it, only the queues it lists (keys or full
+   * names) are.
    */
-  generateWranglerBindings(contextName) {
+  generateWranglerBindings(contextName, { consume } = {}) {
     const queues = this.config.get(`queues.${contextName}`, {});
+    const consumed = new Set(
+      (consume ?? Object.keys(queues)).map((queue) =>
+        this.findQueueKey(contextName, queue),
+      ),
+    );
     const bindings = [];
 
     for (const [key, queue] of Object.entries(queues)) {
       // Convert queue name to binding name (e.g., chittychain-blockchain-queue -> BLOCKCHAIN_QUEUE)
       let bindingName = key.toUpperCase().replace(/-/g, "_");
 
-      // Special case for blockchain queue
-      if (key === "chittychain-blockchain-queue") {
+      // Explicit bindings (from a topology) win; special case for blockchain queue
+      if (queue.binding) {
+        bindingName = queue.binding;
+      } else if (key === "chittychain-blockchain-queue") {
         bindingName = "BLOCKCHAIN_QUEUE";
       }
 
       bindings.push({
         binding: bindingName,
         queue: queue.name,
+        consumer: queue.consumer,
+        consume: consumed.has(key),
       });
     }
 
     return bindings;
   }
+
+  /**
+   * Split a context's variables into Worker vars and secrets
+   *
+   * Service-derived variables are credentials and become secrets, except
+   * CLOUDFLARE_ACCOUNT_ID which becomes the Worker's account_id. Custom
+   * variables are plain vars unless they are 1Password references or
+   * expand a secret account field or another secret variable.
+   */
+  async getWorkerConfig(contextName, { consume = [] } = {}) {
+    const { context } = this.getEffectiveContext(contextName);
+    const envVars = await this.applyContext(contextName);
+    const { CLOUDFLARE_ACCOUNT_ID: accountId, ...values } = envVars;
+
+    const secretNames = new Set(
+      Object.keys(values).filter((key) => !(key in context.vars)),
+    );
+    for (const [key, rawValue] of Object.entries(context.vars)) {
+      const value = String(rawValue);
+      const references = [...value.matchAll(/\$\{([^}]+)\}/g)].map((match) =>
+        match[1].trim(),
+      );
+      const isSecret =
+        value.startsWith("op://") ||
+        references.some((reference) => {
+          const [service, ...path] = reference.split(".");
+          return path.length > 0
+            ? this.getSecretFields(service).includes(path.join("."))
+            : secretNames.has(reference);
+        });
+
+      if (isSecret) {
+        secretNames.add(key);
+      } else {
+        secretNames.delete(key);
+      }
+    }
+
+    const vars = {};
+    const secrets = {};
+    for (const [key, value] of Object.entries(values)) {
+      (secretNames.has(key) ? secrets : vars)[key] = value;
+    }
+
+    return {
+      accountId,
+      vars,
+      secrets,
+      queues: this.generateWranglerBindings(contextName, { consume }),
+    };
+  }
+
+  /**
+   * Write a context into a Workers project's wrangler.toml and .dev.vars
+   */
+  async syncWrangler(
+    contextName,
+    { dir = process.cwd(), env, dryRun, consume } = {},
+  ) {
+    const workerConfig = await this.getWorkerConfig(contextName, { consume });
+    return syncWranglerProject(dir, workerConfig, { env, dryRun });
+  }
 }
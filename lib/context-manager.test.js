@@ -0,0 +1,222 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+// ContextManager keeps its config and credential store under $HOME
+const home = mkdtempSync(join(tmpdir(), "chittycontext-home-"));
+const originalHome = process.env.HOME;
+process.env.HOME = home;
+delete process.env.CHITTYCONTEXT_SESSION;
+const { ContextManager } = await import("./context-manager.js");
+
+before(async () => {
+  const setup = new ContextManager();
+  setup.config.set("contexts.default", setup.emptyContext());
+  setup.config.set("current", "default");
+  await setup.addAccount("cloudflare", "main", {
+    accountId: "abc123",
+    token: "cf-secret-token",
+  });
+  await setup.addAccount("neon", "db", {
+    connectionString: "postgres://app:pw@db.example.com/app",
+  });
+  await setup.createContext("work", "default");
+  await setup.switchContext("work");
+  await setup.setServiceAccount("cloudflare", "main");
+  await setup.setServiceAccount("neon", "db");
+  await setup.setContextVariable("work", "PGHOST", "localhost");
+  await setup.setContextVariable("work", "LOG_LEVEL", "debug");
+  await setup.enableEncryption({ keyfile: true });
+});
+
+after(() => {
+  process.env.HOME = originalHome;
+  rmSync(home, { recursive: true, force: true });
+});
+
+describe("ContextManager with a locked credential store", () => {
+  test("switches context without decrypting anything", async () => {
+    const manager = new ContextManager();
+    assert.equal(manager.getEncryptionStatus().unlockedUntil, null);
+    await assert.rejects(() => manager.applyContext("work"), /locked/);
+
+    await manager.switchContext("default");
+    assert.equal(manager.getCurrentContext(), "default");
+    await manager.switchContext("work");
+    assert.equal(manager.getCurrentContext(), "work");
+  });
+
+  test("reports overridden service variables without decrypting", async () => {
+    const manager = new ContextManager();
+    assert.deepEqual(manager.getOverriddenVariables("work"), ["PGHOST"]);
+    assert.deepEqual(
+      await manager.setContextVariable("work", "CLOUDFLARE_API_TOKEN", "x"),
+      { overridesService: true },
+    );
+    assert.deepEqual(await manager.setContextVariable("work", "PGUSER", "me"), {
+      overridesService: true,
+    });
+    assert.deepEqual(
+      await manager.setContextVariable("work", "API_URL", "https://api"),
+      { overridesService: false },
+    );
+    assert.deepEqual(manager.getOverriddenVariables("work"), [
+      "PGHOST",
+      "CLOUDFLARE_API_TOKEN",
+      "PGUSER",
+    ]);
+  });
+});
+
+describe("ContextManager queue reconciliation", () => {
+  // Answers the Cloudflare queue listing with `names`, in one page
+  const queueFetch = (names) => async (url) => {
+    assert.match(url, /\/accounts\/abc123\/queues\?/);
+    return {
+      ok: true,
+      json: async () => ({
+        success: true,
+        result: names.map((name) => ({
+          queue_id: `id-${name}`,
+          queue_name: name,
+          producers_total_count: 1,
+          consumers_total_count: 0,
+        })),
+        result_info: { page: 1, per_page: 100, total_count: names.length },
+      }),
+    };
+  };
+
+  const remote = [
+    "events-ingest-prod",
+    "events-ingest-eu-prod",
+    "billing-invoice-prod",
+    "audit-log-prod",
+    "legacy-prod",
+  ];
+
+  before(async () => {
+    const setup = new ContextManager();
+    const { sessionToken } = await setup.unlockCredentials({ minutes: 0.05 });
+    process.env.CHITTYCONTEXT_SESSION = sessionToken;
+    await setup.createContext("prod", "work");
+    await setup.createContext("eu-prod", "work");
+    setup.config.set("queues.prod.billing-invoice", {
+      name: "billing-invoice-prod",
+    });
+    setup.config.set("queues.prod.deploy-notify", {
+      name: "deploy-notify-prod",
+    });
+    // Hand-named queue another context tracks
+    setup.config.set("queues.staging.audit-log", { name: "audit-log-prod" });
+  });
+
+  after(async () => {
+    await new ContextManager().lockCredentials();
+    delete process.env.CHITTYCONTEXT_SESSION;
+  });
+
+  test("reports untracked {service}-{operation}-{context} queues", async () => {
+    const manager = new ContextManager({ fetchImpl: queueFetch(remote) });
+    const report = await manager.reconcileQueues("prod");
+
+    assert.deepEqual(
+      report.inSync.map(({ key }) => key),
+      ["billing-invoice"],
+    );
+    assert.deepEqual(report.missing, [
+      { key: "deploy-notify", name: "deploy-notify-prod" },
+    ]);
+    assert.deepEqual(
+      report.untracked.map(({ key, name }) => [key, name]),
+      [["events-ingest", "events-ingest-prod"]],
+    );
+  });
+
+  test("lists the context's queues and adopts untracked ones", async () => {
+    const manager = new ContextManager({ fetchImpl: queueFetch(remote) });
+    const listed = await manager.listQueues("eu-prod");
+    assert.deepEqual(
+      listed.map(({ name, tracked }) => [name, tracked]),
+      [["events-ingest-eu-prod", false]],
+    );
+
+    await manager.reconcileQueues("eu-prod", { adopt: true });
+    assert.deepEqual(manager.getQueueConfig("eu-prod")["events-ingest"], {
+      ...manager.getQueueConfig("eu-prod")["events-ingest"],
+      name: "events-ingest-eu-prod",
+      accountId: "abc123",
+      queueId: "id-events-ingest-eu-prod",
+    });
+  });
+});
+
+describe("ContextManager queue bindings", () => {
+  test("consumes every queue unless the Worker names its queues", () => {
+    const manager = new ContextManager();
+    manager.config.set("queues.work.events-ingest", {
+      name: "events-ingest-work",
+    });
+    manager.config.set("queues.work.events-dlq", { name: "events-dlq-work" });
+    const consumed = (options) =>
+      manager
+        .generateWranglerBindings("work", options)
+        .filter(({ consume }) => consume)
+        .map(({ queue }) => queue);
+
+    assert.deepEqual(consumed(), ["events-ingest-work", "events-dlq-work"]);
+    assert.deepEqual(consumed({ consume: ["events-ingest"] }), [
+      "events-ingest-work",
+    ]);
+    assert.deepEqual(consumed({ consume: [] }), []);
+  });
+});
+
+describe("ContextManager secret rotation", () => {
+  test("keeps the old token id when a rotation is partial", async () => {
+    const manager = new ContextManager();
+    manager.setRotationPolicy("work", {
+      item: "cf-api",
+      field: "credential",
+      maxAge: "90d",
+      generator: "cloudflare-token",
+      tokenId: "old-token",
+    });
+    const [policy] = manager.getRotationPolicies("work");
+
+    // One target takes the new token and another rejects it
+    const deleted = [];
+    manager.getCloudflareClient = async () => ({
+      getToken: async () => ({ name: "ci", policies: [] }),
+      createToken: async () => ({ id: "new-token", value: "new-secret" }),
+      deleteToken: async (id) => deleted.push(id),
+    });
+    manager.getRotationStatus = async () => [
+      {
+        policy,
+        state: "due",
+        item: { fields: [{ id: "credential", value: "old-secret" }] },
+      },
+    ];
+    manager.secretsManager.updateItemField = async () => {};
+    manager.distributeSecrets = async () => ({
+      results: [{ status: "updated" }, { status: "failed" }],
+    });
+
+    const { results } = await manager.rotateSecrets("work", {
+      item: "cf-api",
+      field: "credential",
+    });
+    assert.equal(results[0].status, "partial");
+    assert.equal(results[0].previousTokenId, "old-token");
+    assert.deepEqual(deleted, []);
+    assert.deepEqual(manager.getRotationPolicies("work")[0], {
+      ...policy,
+      tokenId: "new-token",
+      previousTokenId: "old-token",
+      lastRotatedAt: manager.getRotationPolicies("work")[0].lastRotatedAt,
+    });
+  });
+});
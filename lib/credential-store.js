@@ -0,0 +1,310 @@
+/**
+ * Credential Store - Encrypt account secrets at rest in the config file
+ *
+ * Secrets are sealed with AES-256-GCM under a random master key. The master
+ * key is either wrapped with a passphrase (scrypt) inside the config file or
+ * kept in a local keyfile (mode 0600).
+ *
+ * `unlock` re-wraps the master key under a random per-session secret and
+ * writes only the wrapped key to a session file. The secret itself is handed
+ * back to the caller (exported as CHITTYCONTEXT_SESSION), so the file alone
+ * decrypts nothing. A detached timer deletes the file when it expires.
+ */
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  scryptSync,
+} from "crypto";
+import {
+  chmodSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { spawn } from "child_process";
+import { homedir } from "os";
+import { join } from "path";
+
+const ENCRYPTED_PREFIX = "enc:v1:";
+const DEFAULT_UNLOCK_MINUTES = 15;
+
+// Environment variable carrying the per-session secret
+export const SESSION_ENV = "CHITTYCONTEXT_SESSION";
+
+// Deletes the session file at expiry unless a newer unlock replaced it
+const PURGE_SCRIPT = `
+const { readFileSync, rmSync } = require("fs");
+const [path, id, delay] = process.argv.slice(1);
+setTimeout(() => {
+  try {
+    if (JSON.parse(readFileSync(path, "utf8")).id === id) rmSync(path);
+  } catch {}
+}, Number(delay));
+`;
+
+export class CredentialStore {
+  constructor(
+    config,
+    dir = join(homedir(), ".config", "chittycontext"),
+    env = process.env,
+  ) {
+    this.config = config;
+    this.dir = dir;
+    this.env = env;
+    this.keyfilePath = join(dir, "keyfile");
+    this.sessionPath = join(dir, "session.json");
+    // Master key unlocked by this process (never written to disk)
+    this.masterKey = null;
+  }
+
+  /**
+   * Whether encryption has been set up
+   */
+  isEnabled() {
+    return Boolean(this.getMode());
+  }
+
+  /**
+   * Get the key mode ("passphrase" or "keyfile"), or null when disabled
+   */
+  getMode() {
+    return this.config.get("encryption.mode") || null;
+  }
+
+  /**
+   * Whether a value is sealed by this store
+   */
+  isEncrypted(value) {
+    return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  /**
+   * Set up encryption with a passphrase or a local keyfile
+   */
+  initialize({ passphrase, keyfile = false }) {
+    if (this.isEnabled()) {
+      throw new Error("Encryption is already enabled");
+    }
+
+    if (!keyfile && !passphrase) {
+      throw new Error("Passphrase required (or use a keyfile)");
+    }
+
+    const masterKey = randomBytes(32);
+
+    if (keyfile) {
+      this.writePrivateFile(this.keyfilePath, masterKey.toString("hex"));
+      this.config.set("encryption", {
+        mode: "keyfile",
+        created_at: new Date().toISOString(),
+      });
+    } else {
+      const salt = randomBytes(16);
+      this.config.set("encryption", {
+        mode: "passphrase",
+        salt: salt.toString("base64"),
+        wrapped_key: seal(
+          masterKey.toString("hex"),
+          deriveKey(passphrase, salt),
+        ),
+        created_at: new Date().toISOString(),
+      });
+    }
+
+    this.masterKey = masterKey;
+    return masterKey;
+  }
+
+  /**
+   * Unlock the store for a limited time
+   *
+   * Returns `{ expiresAt, sessionToken }`. Later processes can decrypt only
+   * while the session file is unexpired and `sessionToken` is in their
+   * CHITTYCONTEXT_SESSION environment variable.
+   */
+  unlock({ passphrase, minutes = DEFAULT_UNLOCK_MINUTES } = {}) {
+    const settings = this.config.get("encryption");
+
+    if (!settings?.mode) {
+      throw new Error("Encryption is not enabled (run 'ctx encrypt' first)");
+    }
+
+    let masterKeyHex;
+    if (settings.mode === "keyfile") {
+      if (!existsSync(this.keyfilePath)) {
+        throw new Error(`Keyfile not found: ${this.keyfilePath}`);
+      }
+      masterKeyHex = readFileSync(this.keyfilePath, "utf8").trim();
+    } else {
+      if (!passphrase) {
+        throw new Error("Passphrase required to unlock");
+      }
+      try {
+        masterKeyHex = unseal(
+          settings.wrapped_key,
+          deriveKey(passphrase, Buffer.from(settings.salt, "base64")),
+        );
+      } catch {
+        throw new Error("Incorrect passphrase");
+      }
+    }
+
+    const sessionSecret = randomBytes(32);
+    const id = randomBytes(8).toString("hex");
+    const delay = Math.round(minutes * 60 * 1000);
+    const expiresAt = new Date(Date.now() + delay);
+    this.writePrivateFile(
+      this.sessionPath,
+      JSON.stringify({
+        id,
+        wrapped_key: seal(masterKeyHex, sessionSecret),
+        expires_at: expiresAt.toISOString(),
+      }),
+    );
+    this.schedulePurge(id, delay);
+
+    this.masterKey = Buffer.from(masterKeyHex, "hex");
+    return { expiresAt, sessionToken: sessionSecret.toString("base64url") };
+  }
+
+  /**
+   * Delete the session file once it expires, from a detached process
+   */
+  schedulePurge(id, delay) {
+    spawn(
+      process.execPath,
+      ["-e", PURGE_SCRIPT, this.sessionPath, id, String(delay)],
+      { detached: true, stdio: "ignore" },
+    ).unref();
+  }
+
+  /**
+   * Forget the unlocked session key
+   */
+  lock() {
+    this.masterKey = null;
+    rmSync(this.sessionPath, { force: true });
+  }
+
+  /**
+   * Get the session expiry, or null when locked
+   */
+  getUnlockExpiry() {
+    return this.readSession()?.expiresAt || null;
+  }
+
+  /**
+   * Encrypt a secret value
+   */
+  encrypt(plaintext) {
+    return seal(String(plaintext), this.requireKey());
+  }
+
+  /**
+   * Decrypt a value sealed by encrypt(); other values pass through unchanged
+   */
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+    return unseal(value, this.requireKey());
+  }
+
+  /**
+   * Get the unlocked master key or fail with a hint to unlock
+   */
+  requireKey() {
+    const key = this.masterKey || this.readSession()?.key;
+    if (!key) {
+      throw new Error(
+        `Credential store is locked (run 'eval "$(ctx unlock)"' first)`,
+      );
+    }
+    return key;
+  }
+
+  /**
+   * Read the unlock session with this process's session secret
+   *
+   * Returns null when there is no unexpired session or the secret does not
+   * match it; an expired or unreadable session file is deleted.
+   */
+  readSession() {
+    if (!existsSync(this.sessionPath)) {
+      return null;
+    }
+
+    let session;
+    try {
+      session = JSON.parse(readFileSync(this.sessionPath, "utf8"));
+    } catch {
+      this.lock();
+      return null;
+    }
+
+    const expiresAt = new Date(session.expires_at);
+    if (!(expiresAt > new Date()) || !session.wrapped_key) {
+      this.lock();
+      return null;
+    }
+
+    const token = this.env[SESSION_ENV];
+    if (!token) {
+      return null;
+    }
+    try {
+      const key = unseal(session.wrapped_key, Buffer.from(token, "base64url"));
+      return { key: Buffer.from(key, "hex"), expiresAt };
+    } catch {
+      // A secret from another (or an older) session
+      return null;
+    }
+  }
+
+  /**
+   * Write a file readable only by the current user
+   */
+  writePrivateFile(path, contents) {
+    mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    writeFileSync(path, contents, { mode: 0o600 });
+    chmodSync(path, 0o600);
+  }
+}
+
+function deriveKey(passphrase, salt) {
+  return scryptSync(passphrase, salt, 32);
+}
+
+function seal(plaintext, key) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+
+  return (
+    ENCRYPTED_PREFIX +
+    [iv, cipher.getAuthTag(), ciphertext]
+      .map((part) => part.toString("base64"))
+      .join(":")
+  );
+}
+
+function unseal(value, key) {
+  const [iv, tag, ciphertext] = value
+    .slice(ENCRYPTED_PREFIX.length)
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+
+  const decipher = createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+}
@@ -0,0 +1,117 @@
+import { after, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { CredentialStore, SESSION_ENV } from "./credential-store.js";
+
+// Minimal stand-in for Conf's dotted get/set
+class MemoryConfig {
+  constructor() {
+    this.data = {};
+  }
+
+  get(path) {
+    return path.split(".").reduce((value, key) => value?.[key], this.data);
+  }
+
+  set(path, value) {
+    const keys = path.split(".");
+    const parent = keys
+      .slice(0, -1)
+      .reduce((value, key) => (value[key] ??= {}), this.data);
+    parent[keys.at(-1)] = value;
+  }
+}
+
+const dir = mkdtempSync(join(tmpdir(), "chittycontext-store-"));
+let config;
+
+// A fresh store, as a later process with `env` would see it
+const openStore = (env = {}) => new CredentialStore(config, dir, env);
+
+// Short sessions, so no purge timer outlives the test run
+const MINUTES = 0.02;
+
+beforeEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+  config = new MemoryConfig();
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe("CredentialStore", () => {
+  test("seals values that only the master key opens", () => {
+    const store = openStore();
+    store.initialize({ passphrase: "correct horse" });
+
+    const sealed = store.encrypt("cf-token-123");
+    assert.ok(store.isEncrypted(sealed));
+    assert.doesNotMatch(sealed, /cf-token-123/);
+    assert.equal(store.decrypt(sealed), "cf-token-123");
+    assert.equal(store.decrypt("plain"), "plain");
+
+    const tampered = sealed.slice(0, -2) + (sealed.endsWith("A") ? "B" : "A");
+    assert.throws(() => store.decrypt(tampered));
+  });
+
+  test("rejects a wrong passphrase", () => {
+    openStore().initialize({ passphrase: "correct horse" });
+    assert.throws(
+      () => openStore().unlock({ passphrase: "wrong" }),
+      /Incorrect passphrase/,
+    );
+    assert.throws(() => openStore().unlock(), /Passphrase required/);
+  });
+
+  test("keeps the master key off disk and needs the session secret", () => {
+    const first = openStore();
+    const sealed = (first.initialize({ passphrase: "pw" }), first.encrypt("s"));
+    const masterKey = first.masterKey.toString("hex");
+
+    const { sessionToken } = openStore().unlock({
+      passphrase: "pw",
+      minutes: MINUTES,
+    });
+    const session = readFileSync(join(dir, "session.json"), "utf8");
+    assert.doesNotMatch(session, new RegExp(masterKey));
+
+    assert.equal(
+      openStore({ [SESSION_ENV]: sessionToken }).decrypt(sealed),
+      "s",
+    );
+    assert.throws(() => openStore().decrypt(sealed), /locked/);
+    assert.throws(
+      () => openStore({ [SESSION_ENV]: "A".repeat(43) }).decrypt(sealed),
+      /locked/,
+    );
+  });
+
+  test("lock forgets the session", () => {
+    const store = openStore();
+    const sealed = (store.initialize({ keyfile: true }), store.encrypt("s"));
+    const { sessionToken } = openStore().unlock({ minutes: MINUTES });
+    const env = { [SESSION_ENV]: sessionToken };
+    assert.ok(openStore(env).getUnlockExpiry());
+
+    openStore(env).lock();
+    assert.equal(existsSync(join(dir, "session.json")), false);
+    assert.equal(openStore(env).getUnlockExpiry(), null);
+    assert.throws(() => openStore(env).decrypt(sealed), /locked/);
+  });
+
+  test("deletes the session file when it expires", async () => {
+    openStore().initialize({ keyfile: true });
+    const { sessionToken } = openStore().unlock({ minutes: 0.005 });
+    const env = { [SESSION_ENV]: sessionToken };
+    assert.ok(openStore(env).getUnlockExpiry());
+
+    // Nothing reads the session again; the purge timer removes it
+    for (let waited = 0; existsSync(join(dir, "session.json")); waited++) {
+      assert.ok(waited < 50, "session file outlived its expiry");
+      await sleep(100);
+    }
+    assert.equal(openStore(env).getUnlockExpiry(), null);
+  });
+});
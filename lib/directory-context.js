@@ -0,0 +1,108 @@
+/**
+ * Directory Context - Resolve .chittycontext files from the working directory
+ */
+
+import { existsSync, readFileSync, statSync } from "fs";
+import { dirname, join, resolve } from "path";
+
+export const CONTEXT_FILENAME = ".chittycontext";
+
+/**
+ * Find the nearest .chittycontext file, walking up from startDir
+ */
+export function findContextFile(startDir = process.cwd()) {
+  let dir = resolve(startDir);
+
+  while (true) {
+    const candidate = join(dir, CONTEXT_FILENAME);
+    if (existsSync(candidate) && statSync(candidate).isFile()) {
+      return candidate;
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Parse a .chittycontext file
+ *
+ * Accepts either a bare context name or `key = value` lines, where `context`
+ * names the context and any other key overrides that service's account:
+ *
+ *   context = litigation
+ *   cloudflare = chittyos-legal
+ *
+ * When `services` is given, override keys must be one of them.
+ */
+export function parseContextFile(
+  content,
+  filePath = CONTEXT_FILENAME,
+  { services } = {},
+) {
+  let context = null;
+  const overrides = {};
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) return;
+
+    const separator = line.indexOf("=");
+    if (separator === -1) {
+      if (context) {
+        throw new Error(
+          `${filePath}:${index + 1}: expected 'key = value', got '${line}'`,
+        );
+      }
+      context = line;
+      return;
+    }
+
+    const key = line.slice(0, separator).trim();
+    const value = line
+      .slice(separator + 1)
+      .trim()
+      .replace(/^(["'])(.*)\1$/, "$2");
+
+    if (!key || !value) {
+      throw new Error(`${filePath}:${index + 1}: empty key or value`);
+    }
+
+    if (key === "context") {
+      context = value;
+    } else if (services && !services.includes(key)) {
+      throw new Error(
+        `${filePath}:${index + 1}: unknown service '${key}' (use context, ${services.join(", ")})`,
+      );
+    } else {
+      overrides[key] = value;
+    }
+  });
+
+  if (!context) {
+    throw new Error(`${filePath}: no context named`);
+  }
+
+  return { context, overrides };
+}
+
+/**
+ * Load the directory context that applies to startDir, if any
+ */
+export function loadDirectoryContext(startDir = process.cwd(), options = {}) {
+  const file = findContextFile(startDir);
+  if (!file) {
+    return null;
+  }
+
+  const { context, overrides } = parseContextFile(
+    readFileSync(file, "utf8"),
+    file,
+    options,
+  );
+
+  return { file, context, overrides };
+}
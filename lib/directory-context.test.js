@@ -0,0 +1,43 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseContextFile } from "./directory-context.js";
+
+describe("parseContextFile", () => {
+  const services = ["cloudflare", "github"];
+
+  test("reads a context name and service overrides", () => {
+    assert.deepEqual(
+      parseContextFile(
+        "# legal work\ncontext = litigation\ncloudflare = 'chittyos-legal'\n",
+        ".chittycontext",
+        { services },
+      ),
+      { context: "litigation", overrides: { cloudflare: "chittyos-legal" } },
+    );
+    assert.deepEqual(parseContextFile("litigation\n"), {
+      context: "litigation",
+      overrides: {},
+    });
+  });
+
+  test("rejects override keys no provider defines", () => {
+    assert.throws(
+      () =>
+        parseContextFile("context = a\ncloudfare = x\n", "/p/.chittycontext", {
+          services,
+        }),
+      /^Error: \/p\/\.chittycontext:2: unknown service 'cloudfare'/,
+    );
+  });
+
+  test("reports malformed lines", () => {
+    assert.throws(
+      () => parseContextFile("a\nb\n"),
+      /:2: expected 'key = value'/,
+    );
+    assert.throws(
+      () => parseContextFile("cloudflare = x\n"),
+      /no context named/,
+    );
+  });
+});
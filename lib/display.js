@@ -4,61 +4,113 @@
 
 import chalk from "chalk";
 
-export async function displayStatus(contextManager) {
-  const current = contextManager.getCurrentContext();
+export async function displayStatus(contextManager, { explain = false } = {}) {
+  const resolved = contextManager.resolveContext();
+  const current = resolved.name;
   const config = contextManager.getConfig();
-  const context = config.contexts[current];
+  const { context, chain, origins, varOrigins } =
+    contextManager.getEffectiveContext(
+      current,
+      resolved.overrides,
+      resolved.file || "overrides",
+    );
+
+  // Note which layer a value came from when it is not the context itself
+  const from = (layer) =>
+    explain && layer !== current ? chalk.dim(` (from ${layer})`) : "";
 
   console.log(chalk.bold.cyan("\n📊 Current Context Status\n"));
-  console.log(chalk.bold(`Context: ${chalk.green(current)}\n`));
+  console.log(chalk.bold(`Context: ${chalk.green(current)}`));
+  if (chain.length > 1) {
+    console.log(chalk.dim(`Inherits: ${chain.join(" → ")}`));
+  }
 
-  // Display service configurations
-  const services = [
-    { name: "Cloudflare", key: "cloudflare", icon: "☁️" },
-    { name: "GitHub", key: "github", icon: "🐙" },
-    { name: "Google", key: "google", icon: "📧" },
-    { name: "Notion", key: "notion", icon: "📝" },
-    { name: "Neon", key: "neon", icon: "🗄️" },
-  ];
+  if (resolved.source === "session") {
+    console.log(chalk.dim("Source: session (CHITTYCONTEXT_CURRENT)\n"));
+  } else if (resolved.source === "directory") {
+    console.log(chalk.dim(`Source: directory (${resolved.file})\n`));
+  } else {
+    console.log(chalk.dim("Source: global default\n"));
+  }
 
-  services.forEach((service) => {
-    const accountName = context[service.key];
+  // Display service configurations
+  contextManager.listProviders().forEach((provider) => {
+    const accountName = context[provider.id];
+    const label = `${provider.icon || "🔑"}  ${chalk.bold(provider.name)}`;
 
     if (accountName) {
-      const accountDetails = config.accounts[service.key]?.[accountName];
+      const accountDetails = config.accounts[provider.id]?.[accountName];
 
       if (accountDetails) {
         console.log(
-          `${service.icon}  ${chalk.bold(service.name)}: ${chalk.green(accountName)}`,
+          `${label}: ${chalk.green(accountName)}${from(origins[provider.id])}`,
         );
 
         // Show account details
-        if (service.key === "cloudflare" && accountDetails.account_id) {
-          console.log(chalk.dim(`   Account ID: ${accountDetails.account_id}`));
-        }
-        if (service.key === "github" && accountDetails.token) {
-          console.log(
-            chalk.dim(`   Token: ${accountDetails.token.substring(0, 8)}...`),
-          );
-        }
-        if (service.key === "google" && accountDetails.email) {
-          console.log(chalk.dim(`   Email: ${accountDetails.email}`));
-        }
+        (provider.describe?.(accountDetails, context) || []).forEach(
+          ({ label: detail, value, secret }) => {
+            if (value) {
+              const shown = secret ? maskToken(value) : value;
+              console.log(chalk.dim(`   ${detail}: ${shown}`));
+            }
+          },
+        );
       } else {
         console.log(
-          `${service.icon}  ${chalk.bold(service.name)}: ${chalk.yellow(accountName)} ${chalk.red("(not configured)")}`,
+          `${label}: ${chalk.yellow(accountName)} ${chalk.red("(not configured)")}${from(origins[provider.id])}`,
         );
       }
     } else {
-      console.log(
-        `${service.icon}  ${chalk.bold(service.name)}: ${chalk.dim("not set")}`,
-      );
+      console.log(`${label}: ${chalk.dim("not set")}`);
     }
   });
 
+  if (explain) {
+    const vars = Object.entries(context.vars);
+    const overridden = contextManager.getOverriddenVariables(
+      current,
+      resolved.overrides,
+    );
+    console.log(chalk.bold("\n🔧 Variables:"));
+    if (vars.length === 0) {
+      console.log(chalk.dim("   none"));
+    }
+    vars.forEach(([key, value]) => {
+      console.log(
+        `   ${chalk.green(key)} = ${value}${chalk.dim(` (from ${varOrigins[key]})`)}`,
+      );
+      if (overridden.includes(key)) {
+        console.log(
+          chalk.yellow(`     ⚠️  overrides the value from its service account`),
+        );
+      }
+    });
+  }
+
+  const encryption = contextManager.getEncryptionStatus();
+  if (encryption.enabled) {
+    console.log(
+      encryption.unlockedUntil
+        ? chalk.dim(
+            `\n🔓 Credentials unlocked until ${encryption.unlockedUntil.toLocaleTimeString()}`,
+          )
+        : chalk.dim("\n🔒 Credentials locked (run 'ctx unlock')"),
+    );
+  }
+
   console.log();
 }
 
+function maskToken(token) {
+  if (token.startsWith("op://")) {
+    return `${token} (1Password)`;
+  }
+  if (token.startsWith("enc:")) {
+    return "encrypted";
+  }
+  return `${token.substring(0, 8)}...`;
+}
+
 export function displayContextList(contexts, current) {
   console.log(chalk.bold("\n📋 Available Contexts:\n"));
 
@@ -71,16 +123,10 @@ export function displayContextList(contexts, current) {
   console.log();
 }
 
-export function displayAccountList(service, accounts, currentContext) {
-  const serviceNames = {
-    cloudflare: "☁️  Cloudflare",
-    github: "🐙 GitHub",
-    google: "📧 Google",
-    notion: "📝 Notion",
-    neon: "🗄️  Neon",
-  };
-
-  console.log(chalk.bold(`\n${serviceNames[service]} Accounts:\n`));
+export function displayAccountList(provider, accounts, activeAccount) {
+  console.log(
+    chalk.bold(`\n${provider.icon || "🔑"}  ${provider.name} Accounts:\n`),
+  );
 
   if (accounts.length === 0) {
     console.log(chalk.dim("  No accounts configured"));
@@ -89,20 +135,48 @@ export function displayAccountList(service, accounts, currentContext) {
   }
 
   accounts.forEach((acc) => {
-    const marker = acc.name === currentContext ? chalk.green("→") : " ";
+    const marker = acc.name === activeAccount ? chalk.green("→") : " ";
     const name =
-      acc.name === currentContext ? chalk.green.bold(acc.name) : acc.name;
+      acc.name === activeAccount ? chalk.green.bold(acc.name) : acc.name;
 
     console.log(`${marker} ${name}`);
 
     // Show relevant details
-    if (service === "cloudflare" && acc.account_id) {
-      console.log(chalk.dim(`   ${acc.account_id}`));
-    }
-    if (service === "google" && acc.email) {
-      console.log(chalk.dim(`   ${acc.email}`));
+    const summary = provider.summary?.(acc);
+    if (summary) {
+      console.log(chalk.dim(`   ${summary}`));
     }
   });
 
   console.log();
 }
+
+// Visible width of a string that may contain ANSI color codes
+function visibleLength(text) {
+  return text.replace(/\x1b\[[0-9;]*m/g, "").length;
+}
+
+/**
+ * Render rows as an aligned table with a dimmed header
+ */
+export function formatTable(headers, rows, { indent = "  " } = {}) {
+  const cells = rows.map((row) => row.map((cell) => String(cell ?? "")));
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...cells.map((row) => visibleLength(row[column]))),
+  );
+  const line = (row) =>
+    indent +
+    row
+      .map((cell, column) =>
+        column === row.length - 1
+          ? cell
+          : cell + " ".repeat(widths[column] - visibleLength(cell)),
+      )
+      .join("  ");
+
+  return [
+    chalk.dim(line(headers)),
+    chalk.dim(indent + widths.map((width) => "─".repeat(width)).join("  ")),
+    ...cells.map(line),
+  ].join("\n");
+}
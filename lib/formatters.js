@@ -0,0 +1,151 @@
+/**
+ * Formatters - Render environment variables for shells, env files and CI
+ */
+
+import { randomUUID } from "crypto";
+import { chmodSync, writeFileSync } from "fs";
+
+export const FORMATS = [
+  "bash",
+  "zsh",
+  "fish",
+  "nushell",
+  "powershell",
+  "dotenv",
+  "json",
+  "github",
+  "docker",
+];
+
+function posixQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+function fishQuote(value) {
+  return `'${value.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+const NUSHELL_ESCAPES = {
+  "\\": "\\\\",
+  '"': '\\"',
+  "\n": "\\n",
+  "\r": "\\r",
+  "\t": "\\t",
+};
+
+function nushellQuote(value) {
+  const escaped = value.replace(
+    /[\\"\x00-\x1f\x7f]/g,
+    (char) =>
+      NUSHELL_ESCAPES[char] || `\\u{${char.charCodeAt(0).toString(16)}}`,
+  );
+  return `"${escaped}"`;
+}
+
+function powershellQuote(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Quote a .env value
+ *
+ * Single quotes are preferred because dotenv loaders treat their contents
+ * literally (no `$` expansion); multi-line values stay multi-line. Values
+ * containing every quote character fall back to escaped double quotes.
+ */
+function dotenvQuote(value) {
+  if (/^[\w@%+=:,./-]*$/.test(value)) {
+    return value;
+  }
+  const quote = ["'", '"', "`"].find((char) => !value.includes(char));
+  if (quote) {
+    return `${quote}${value}${quote}`;
+  }
+  return `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+const EXPORTERS = {
+  bash: (key, value) => `export ${key}=${posixQuote(value)}`,
+  zsh: (key, value) => `export ${key}=${posixQuote(value)}`,
+  fish: (key, value) => `set -gx ${key} ${fishQuote(value)}`,
+  nushell: (key, value) => `$env.${key} = ${nushellQuote(value)}`,
+  powershell: (key, value) => `$env:${key} = ${powershellQuote(value)}`,
+  dotenv: (key, value) => `${key}=${dotenvQuote(value)}`,
+  github: (key, value) => {
+    if (!/[\r\n]/.test(value)) {
+      return `${key}=${value}`;
+    }
+    // Multi-line values use the heredoc syntax with an unguessable delimiter
+    const delimiter = `ghadelimiter_${randomUUID()}`;
+    return `${key}<<${delimiter}\n${value}\n${delimiter}`;
+  },
+  docker: (key, value) => {
+    if (/[\r\n]/.test(value)) {
+      throw new Error("docker env-files cannot contain multi-line values");
+    }
+    return `${key}=${value}`;
+  },
+};
+
+const UNSETTERS = {
+  bash: (key) => `unset ${key}`,
+  zsh: (key) => `unset ${key}`,
+  fish: (key) => `set -e ${key}`,
+  nushell: (key) => `hide-env -i ${key}`,
+  powershell: (key) => `Remove-Item Env:${key} -ErrorAction SilentlyContinue`,
+};
+
+function requireFormat(format, table) {
+  if (!table[format]) {
+    const supported = FORMATS.filter((name) => table[name]);
+    throw new Error(
+      `Unsupported format '${format}' (use ${supported.join(", ")})`,
+    );
+  }
+  return table[format];
+}
+
+/**
+ * Format a single variable assignment
+ */
+export function exportLine(format, key, value) {
+  const exporter = requireFormat(format, EXPORTERS);
+  try {
+    return exporter(key, String(value));
+  } catch (error) {
+    throw new Error(`Cannot export ${key} as ${format}: ${error.message}`);
+  }
+}
+
+/**
+ * Format a single variable removal (shell formats only)
+ */
+export function unsetLine(format, key) {
+  return requireFormat(format, UNSETTERS)(key);
+}
+
+/**
+ * Render a set of variables in the given format
+ */
+export function formatEnv(envVars, format = "bash") {
+  if (format === "json") {
+    return JSON.stringify(envVars, null, 2);
+  }
+
+  if (!EXPORTERS[format]) {
+    throw new Error(
+      `Unsupported format '${format}' (use ${FORMATS.join(", ")})`,
+    );
+  }
+  return Object.entries(envVars)
+    .map(([key, value]) => exportLine(format, key, value))
+    .join("\n");
+}
+
+/**
+ * Write formatted variables to a file readable only by the current user
+ */
+export function writeEnvFile(path, envVars, format) {
+  writeFileSync(path, `${formatEnv(envVars, format)}\n`, { mode: 0o600 });
+  chmodSync(path, 0o600);
+}
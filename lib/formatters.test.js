@@ -0,0 +1,75 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import { exportLine, formatEnv, unsetLine } from "./formatters.js";
+
+const TRICKY = `it's $HOME \`id\` "q" \\n`;
+
+describe("exportLine", () => {
+  test("bash and zsh values survive a round trip through the shell", () => {
+    for (const value of [TRICKY, "line one\nline two", "'''", ""]) {
+      const script = `${exportLine("bash", "V", value)}\nprintf %s "$V"`;
+      assert.equal(
+        execFileSync("bash", ["-c", script], { encoding: "utf8" }),
+        value,
+      );
+      assert.equal(
+        exportLine("zsh", "V", value),
+        exportLine("bash", "V", value),
+      );
+    }
+  });
+
+  test("escapes quotes and backslashes per shell", () => {
+    assert.equal(exportLine("fish", "V", `a'b\\c`), `set -gx V 'a\\'b\\\\c'`);
+    assert.equal(
+      exportLine("nushell", "V", `a"b\\c\n\x01`),
+      `$env.V = "a\\"b\\\\c\\n\\u{1}"`,
+    );
+    assert.equal(
+      exportLine("powershell", "V", `it's $HOME`),
+      `$env:V = 'it''s $HOME'`,
+    );
+  });
+
+  test("dotenv quotes only when needed and never expands $", () => {
+    assert.equal(
+      exportLine("dotenv", "V", "postgres://u@h:5432/db"),
+      "V=postgres://u@h:5432/db",
+    );
+    assert.equal(exportLine("dotenv", "V", "a $HOME"), "V='a $HOME'");
+    assert.equal(exportLine("dotenv", "V", "it's"), `V="it's"`);
+    assert.equal(exportLine("dotenv", "V", "multi\nline"), "V='multi\nline'");
+    assert.equal(exportLine("dotenv", "V", `'"\`\\\n`), `V="'\\"\`\\\\\\n"`);
+  });
+
+  test("github uses a heredoc for multi-line values; docker refuses them", () => {
+    assert.equal(exportLine("github", "V", "a b"), "V=a b");
+    assert.match(
+      exportLine("github", "V", "one\ntwo"),
+      /^V<<(ghadelimiter_[\w-]+)\none\ntwo\n\1$/,
+    );
+    assert.equal(exportLine("docker", "V", "a 'b'"), "V=a 'b'");
+    assert.throws(
+      () => exportLine("docker", "V", "one\ntwo"),
+      /Cannot export V as docker: docker env-files cannot contain multi-line values/,
+    );
+  });
+});
+
+describe("formatEnv", () => {
+  test("renders every variable, or JSON", () => {
+    const envVars = { A: "1", B: "x y" };
+    assert.equal(formatEnv(envVars), "export A='1'\nexport B='x y'");
+    assert.deepEqual(JSON.parse(formatEnv(envVars, "json")), envVars);
+    assert.throws(() => formatEnv(envVars, "csh"), /Unsupported format 'csh'/);
+  });
+
+  test("unsets only for shell formats", () => {
+    assert.equal(unsetLine("fish", "A"), "set -e A");
+    assert.throws(
+      () => unsetLine("dotenv", "A"),
+      /use bash, zsh, fish, nushell, powershell\)/,
+    );
+  });
+});
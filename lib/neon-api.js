@@ -0,0 +1,91 @@
+/**
+ * Neon API - Compose branch connection strings via the Neon console API
+ */
+
+const NEON_API_URL =
+  process.env.NEON_API_URL || "https://console.neon.tech/api/v2";
+
+async function neonRequest(path, apiKey, fetchImpl = fetch) {
+  const response = await fetchImpl(`${NEON_API_URL}${path}`, {
+    method: "GET",
+    headers: {
+      Accept: "application/json",
+      Authorization: `Bearer ${apiKey}`,
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Neon API ${path} failed: ${response.status}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Find a branch in a project by ID or name
+ */
+export async function findBranch(projectId, branch, apiKey, fetchImpl) {
+  const { branches = [] } = await neonRequest(
+    `/projects/${encodeURIComponent(projectId)}/branches`,
+    apiKey,
+    fetchImpl,
+  );
+
+  const match = branches.find((b) => b.id === branch || b.name === branch);
+  if (!match) {
+    throw new Error(
+      `Neon branch '${branch}' not found in project ${projectId}`,
+    );
+  }
+  return match;
+}
+
+/**
+ * Get the connection string for a project branch
+ *
+ * The database and role are taken from `baseConnectionString`, so the branch
+ * connection uses the same credentials as the account's default branch.
+ */
+export async function getBranchConnectionString(
+  { projectId, branch, apiKey, baseConnectionString },
+  fetchImpl,
+) {
+  let base;
+  try {
+    base = new URL(baseConnectionString);
+  } catch {
+    throw new Error(
+      "Connection string is not a URL, so its database and role cannot be used for branches",
+    );
+  }
+  const params = new URLSearchParams({
+    database_name: base.pathname.replace(/^\//, ""),
+    role_name: decodeURIComponent(base.username),
+  });
+
+  if (branch) {
+    const { id } = await findBranch(projectId, branch, apiKey, fetchImpl);
+    params.set("branch_id", id);
+  }
+
+  const { uri } = await neonRequest(
+    `/projects/${encodeURIComponent(projectId)}/connection_uri?${params}`,
+    apiKey,
+    fetchImpl,
+  );
+  return uri;
+}
+
+/**
+ * Split a Postgres connection string into libpq environment variables
+ *
+ * Throws when the string is not a URL (e.g. keyword/value form).
+ */
+export function connectionStringToPgEnv(connectionString) {
+  const url = new URL(connectionString);
+  return {
+    PGHOST: url.hostname,
+    PGUSER: decodeURIComponent(url.username),
+    PGDATABASE: decodeURIComponent(url.pathname.replace(/^\//, "")),
+  };
+}
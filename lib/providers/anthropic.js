@@ -0,0 +1,16 @@
+/**
+ * Anthropic provider
+ */
+
+import { tokenField } from "./fields.js";
+
+export default {
+  id: "anthropic",
+  name: "Anthropic",
+  icon: "🧠",
+  description: "Manage Anthropic API keys",
+  fields: [tokenField()],
+  env: {
+    ANTHROPIC_API_KEY: "token",
+  },
+};
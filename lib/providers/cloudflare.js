@@ -0,0 +1,28 @@
+/**
+ * Cloudflare provider
+ */
+
+import { tokenField } from "./fields.js";
+
+export default {
+  id: "cloudflare",
+  name: "Cloudflare",
+  icon: "☁️",
+  alias: "cf",
+  description: "Manage Cloudflare accounts",
+  fields: [
+    {
+      field: "account_id",
+      flags: "-i, --account-id <id>",
+      description: "Account ID",
+      required: true,
+    },
+    tokenField(),
+  ],
+  env: {
+    CLOUDFLARE_ACCOUNT_ID: "account_id",
+    CLOUDFLARE_API_TOKEN: "token",
+  },
+  summary: (account) => account.account_id,
+  describe: (account) => [{ label: "Account ID", value: account.account_id }],
+};
@@ -0,0 +1,17 @@
+/**
+ * Field helpers shared by service providers
+ */
+
+/**
+ * A token credential that can be given directly or read from 1Password
+ */
+export function tokenField(description = "API token") {
+  return {
+    field: "token",
+    flags: "-t, --token <token>",
+    referenceFlags: "--token-from-1password <item>",
+    description,
+    secret: true,
+    required: true,
+  };
+}
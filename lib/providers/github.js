@@ -0,0 +1,20 @@
+/**
+ * GitHub provider
+ */
+
+import { tokenField } from "./fields.js";
+
+export default {
+  id: "github",
+  name: "GitHub",
+  icon: "🐙",
+  alias: "gh",
+  description: "Manage GitHub accounts and organizations",
+  fields: [tokenField("Personal access token")],
+  env: {
+    GITHUB_TOKEN: "token",
+  },
+  describe: (account) => [
+    { label: "Token", value: account.token, secret: true },
+  ],
+};
@@ -0,0 +1,27 @@
+/**
+ * Google Workspace provider
+ *
+ * Accounts are keyed by email address.
+ */
+
+export default {
+  id: "google",
+  name: "Google",
+  icon: "📧",
+  description: "Manage Google Workspace identities",
+  accountLabel: "email",
+  fields: [
+    {
+      field: "credentials_path",
+      flags: "-c, --credentials <path>",
+      description: "Path to OAuth credentials JSON",
+      required: true,
+    },
+  ],
+  env: {
+    GOOGLE_APPLICATION_CREDENTIALS: "credentials_path",
+  },
+  buildAccount: (email, account) => ({ email, ...account }),
+  summary: (account) => account.email,
+  describe: (account) => [{ label: "Email", value: account.email }],
+};
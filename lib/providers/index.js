@@ -0,0 +1,181 @@
+/**
+ * Provider Registry - Pluggable service definitions
+ *
+ * A provider describes one service: how its accounts are stored, which fields
+ * are secret, which environment variables it exports and which CLI options
+ * its `add`/`use` commands take. Built-in providers live in this directory;
+ * additional ones are loaded from a plugin directory, one module per file
+ * with the provider (or an array of providers) as its default export.
+ *
+ * Provider shape:
+ *   id            config key (accounts.<id>, contexts.<name>.<id>)
+ *   name, icon    display name and status icon
+ *   alias         optional CLI alias (e.g. "cf")
+ *   description   CLI description
+ *   accountLabel  CLI argument name for accounts (default "name")
+ *   fields        [{ field, flags, description, required?, secret?,
+ *                    referenceFlags? }] — `referenceFlags` adds a 1Password
+ *                    alternative for secret fields
+ *   env           { ENV_VAR: field } mapping, or
+ *   getEnvVars    async (account, context, helpers) => ({ ENV_VAR: value })
+ *                 with `envKeys`, the names it may export (used to report
+ *                 overrides without decrypting the account)
+ *   validate      optional (account) => void, throws on invalid input
+ *   useOptions    optional [{ flags, description, contextField }] stored on
+ *                 the context by `use`; checked by validateUse(account,
+ *                 values, name)
+ *   buildAccount  optional (name, account) => account
+ *   summary       optional (account) => string shown by `list`
+ *   describe      optional (account, context) => [{ label, value, secret? }]
+ *                 shown by `status`
+ */
+
+import { existsSync, readdirSync } from "fs";
+import { extname, join } from "path";
+import { pathToFileURL } from "url";
+import cloudflare from "./cloudflare.js";
+import github from "./github.js";
+import google from "./google.js";
+import neon from "./neon.js";
+import notion from "./notion.js";
+import openai from "./openai.js";
+import anthropic from "./anthropic.js";
+
+export const BUILTIN_PROVIDERS = [
+  cloudflare,
+  github,
+  google,
+  notion,
+  neon,
+  openai,
+  anthropic,
+];
+
+// Keys under `accounts` that are not services
+const RESERVED_IDS = ["services"];
+
+/**
+ * Get the option property name commander derives from flags
+ * (e.g. "--token-from-1password <item>" -> "tokenFrom1password")
+ */
+export function optionKey(flags) {
+  const long = flags.split(/[ ,|]+/).find((part) => part.startsWith("--"));
+  return long
+    .slice(2)
+    .split("-")
+    .map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+    .join("");
+}
+
+/**
+ * Check that a provider definition is usable
+ */
+export function validateProvider(provider) {
+  if (!provider || typeof provider !== "object") {
+    throw new Error("Provider must be an object");
+  }
+  if (!/^[a-z][a-z0-9-]*$/.test(provider.id || "")) {
+    throw new Error(`Invalid provider id '${provider.id}'`);
+  }
+  if (RESERVED_IDS.includes(provider.id)) {
+    throw new Error(`Provider id '${provider.id}' is reserved`);
+  }
+  if (!provider.name) {
+    throw new Error(`Provider '${provider.id}' needs a name`);
+  }
+  if (!Array.isArray(provider.fields)) {
+    throw new Error(`Provider '${provider.id}' needs a fields array`);
+  }
+  for (const field of provider.fields) {
+    if (!field.field || !field.flags?.includes("--")) {
+      throw new Error(
+        `Provider '${provider.id}' has a field without 'field' and long 'flags'`,
+      );
+    }
+  }
+  if (!provider.env && typeof provider.getEnvVars !== "function") {
+    throw new Error(`Provider '${provider.id}' needs env or getEnvVars`);
+  }
+}
+
+export class ProviderRegistry {
+  constructor(providers = BUILTIN_PROVIDERS) {
+    this.providers = new Map();
+    providers.forEach((provider) => this.register(provider));
+  }
+
+  /**
+   * Add a provider
+   */
+  register(provider) {
+    validateProvider(provider);
+
+    if (this.providers.has(provider.id)) {
+      throw new Error(`Provider '${provider.id}' is already registered`);
+    }
+
+    this.providers.set(provider.id, provider);
+    return provider;
+  }
+
+  /**
+   * Get a provider by id (throws if unknown)
+   */
+  get(id) {
+    const provider = this.providers.get(id);
+    if (!provider) {
+      throw new Error(`Unknown service '${id}'`);
+    }
+    return provider;
+  }
+
+  /**
+   * Whether a provider is registered
+   */
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  /**
+   * List providers in registration order
+   */
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * Load plugin providers from a directory of .js/.mjs modules
+   *
+   * Returns the loaded provider ids and per-file errors; one broken plugin
+   * does not prevent the others from loading.
+   */
+  async loadPlugins(dir) {
+    const loaded = [];
+    const errors = [];
+
+    if (!existsSync(dir)) {
+      return { loaded, errors };
+    }
+
+    const files = readdirSync(dir)
+      .filter((file) => [".js", ".mjs"].includes(extname(file)))
+      .sort();
+
+    for (const file of files) {
+      const path = join(dir, file);
+      try {
+        const module = await import(pathToFileURL(path).href);
+        const exported = module.default;
+        const providers = Array.isArray(exported) ? exported : [exported];
+
+        for (const provider of providers) {
+          loaded.push(this.register(provider).id);
+        }
+      } catch (error) {
+        errors.push({ file: path, error: error.message });
+      }
+    }
+
+    return { loaded, errors };
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Neon provider
+ *
+ * A context may pin a project and branch (`neon_project`, `neon_branch`);
+ * branch connection strings are composed through the Neon API.
+ */
+
+import {
+  connectionStringToPgEnv,
+  getBranchConnectionString,
+} from "../neon-api.js";
+
+export default {
+  id: "neon",
+  name: "Neon",
+  icon: "🗄️",
+  description: "Manage Neon database projects and branches",
+  fields: [
+    {
+      field: "connection_string",
+      flags: "-c, --connection-string <url>",
+      referenceFlags: "--connection-from-1password <item>",
+      description: "Postgres connection string",
+      secret: true,
+      required: true,
+    },
+    {
+      field: "project_id",
+      flags: "-p, --project <id>",
+      description: "Neon project ID (enables branch selection)",
+    },
+    {
+      field: "api_key",
+      flags: "--api-key <key>",
+      referenceFlags: "--api-key-from-1password <item>",
+      description: "Neon API key (enables branch selection)",
+      secret: true,
+    },
+  ],
+  useOptions: [
+    {
+      flags: "-p, --project <id>",
+      description: "Project ID (defaults to the account's)",
+      contextField: "neon_project",
+    },
+    {
+      flags: "-b, --branch <name>",
+      description: "Branch name or ID (defaults to primary)",
+      contextField: "neon_branch",
+    },
+  ],
+
+  validate(account) {
+    const value = account.connection_string;
+    if (value.startsWith("op://")) return;
+
+    let protocol;
+    try {
+      protocol = new URL(value).protocol;
+    } catch {
+      throw new Error("Connection string is not a valid URL");
+    }
+    if (!["postgres:", "postgresql:"].includes(protocol)) {
+      throw new Error("Connection string must be a postgres:// URL");
+    }
+  },
+
+  validateUse(account, { neon_project, neon_branch }, name) {
+    const projectId = neon_project || account.project_id;
+    if (neon_branch && (!projectId || !account.api_key)) {
+      throw new Error(
+        `Neon account '${name}' needs a project ID and API key to select branches (re-add with --project and --api-key)`,
+      );
+    }
+  },
+
+  envKeys: [
+    "DATABASE_URL",
+    "NEON_DATABASE_URL",
+    "PGHOST",
+    "PGUSER",
+    "PGDATABASE",
+  ],
+
+  // Branch selection needs 1Password and the Neon API, so it is only composed
+  // when references are being resolved
+  async getEnvVars(
+    account,
+    context,
+    { resolveSecretValue, resolveReferences },
+  ) {
+    if (!resolveReferences) {
+      return {
+        DATABASE_URL: account.connection_string,
+        NEON_DATABASE_URL: account.connection_string,
+      };
+    }
+
+    let connectionString = await resolveSecretValue(account.connection_string);
+    const projectId = context.neon_project || account.project_id;
+
+    if (context.neon_branch || projectId !== account.project_id) {
+      if (!projectId || !account.api_key) {
+        throw new Error(
+          `Neon account '${context.neon}' needs --project and --api-key to select branches`,
+        );
+      }
+      connectionString = await getBranchConnectionString({
+        projectId,
+        branch: context.neon_branch,
+        apiKey: await resolveSecretValue(account.api_key),
+        baseConnectionString: connectionString,
+      });
+    }
+
+    // Keyword/value strings and unencoded passwords are not URLs; they still
+    // work as DATABASE_URL, so only the PG* split is skipped
+    let pgEnv = {};
+    try {
+      pgEnv = connectionStringToPgEnv(connectionString);
+    } catch {
+      console.warn(
+        `⚠️  Neon account '${context.neon}' has a connection string that is not a URL; PGHOST, PGUSER and PGDATABASE are not set`,
+      );
+    }
+
+    return {
+      DATABASE_URL: connectionString,
+      NEON_DATABASE_URL: connectionString,
+      ...pgEnv,
+    };
+  },
+
+  summary: (account) => account.project_id,
+  describe: (account, context) => [
+    { label: "Project", value: context.neon_project || account.project_id },
+    { label: "Branch", value: context.neon_branch },
+  ],
+};
@@ -0,0 +1,25 @@
+/**
+ * Notion provider
+ */
+
+import { tokenField } from "./fields.js";
+
+export default {
+  id: "notion",
+  name: "Notion",
+  icon: "📝",
+  description: "Manage Notion workspace integrations",
+  fields: [
+    {
+      field: "workspace",
+      flags: "-w, --workspace <name>",
+      description: "Workspace name",
+    },
+    tokenField("Integration token"),
+  ],
+  env: {
+    NOTION_TOKEN: "token",
+  },
+  summary: (account) => account.workspace,
+  describe: (account) => [{ label: "Workspace", value: account.workspace }],
+};
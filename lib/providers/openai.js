@@ -0,0 +1,25 @@
+/**
+ * OpenAI provider
+ */
+
+import { tokenField } from "./fields.js";
+
+export default {
+  id: "openai",
+  name: "OpenAI",
+  icon: "🤖",
+  description: "Manage OpenAI API keys",
+  fields: [
+    {
+      field: "organization",
+      flags: "-o, --organization <id>",
+      description: "Organization ID",
+    },
+    tokenField(),
+  ],
+  env: {
+    OPENAI_API_KEY: "token",
+    OPENAI_ORG_ID: "organization",
+  },
+  summary: (account) => account.organization,
+};
@@ -0,0 +1,449 @@
+/**
+ * Queue Messages - Schemas, builders and validation for queue message formats
+ *
+ * These are the message contracts documented in queues.md. The module has no
+ * Node.js dependencies so Workers can import it as
+ * `@chittyos/chittycontext-client/queue-messages`.
+ *
+ * Schemas use a small JSON Schema subset: type, properties, required,
+ * additionalProperties, items, enum, const, minimum, maximum, minItems,
+ * minLength and format "date-time".
+ */
+
+/**
+ * @typedef {"cloudflare" | "github" | "neon"} DistributionService
+ */
+
+/**
+ * @typedef {object} SecretMapping
+ * @property {DistributionService} service
+ * @property {string} [worker] Cloudflare Worker name
+ * @property {string} [repo] GitHub repository (owner/name)
+ * @property {string} [project] Neon project ID
+ * @property {string} secretName
+ * @property {string} vaultItem
+ * @property {string} [vaultField]
+ */
+
+/**
+ * @typedef {object} SecretDistributionMessage
+ * @property {string} contextName
+ * @property {"distribute_secrets"} operation
+ * @property {DistributionService[]} services
+ * @property {SecretMapping[]} secrets
+ * @property {string} timestamp ISO 8601
+ * @property {string} [userId]
+ * @property {string} [jobId] Identifies the job in status reports
+ */
+
+/**
+ * @typedef {object} RegistrySyncMessage
+ * @property {"sync_registry"} operation
+ * @property {string[]} services
+ * @property {string} contextName
+ * @property {string} timestamp ISO 8601
+ */
+
+/**
+ * @typedef {object} VaultOpsMessage
+ * @property {"create_vault" | "store_secret" | "rotate_secret"} operation
+ * @property {string} vaultName
+ * @property {string} [itemName]
+ * @property {Record<string, string>} [data]
+ * @property {string} timestamp ISO 8601
+ */
+
+/**
+ * @typedef {object} ContextOpsMessage
+ * @property {"switch_context" | "update_config"} operation
+ * @property {string} contextName
+ * @property {Record<string, unknown>} [changes]
+ * @property {string} timestamp ISO 8601
+ */
+
+/**
+ * @typedef {object} BlockchainMessage
+ * @property {string} chittyId
+ * @property {"high" | "medium" | "low"} priority
+ * @property {string} timestamp ISO 8601
+ * @property {number} probability Between 0 and 1
+ * @property {"mint" | "verify" | "store"} operation
+ * @property {{ entityType?: string, contextName?: string }} [metadata]
+ */
+
+const timestamp = { type: "string", format: "date-time" };
+const name = { type: "string", minLength: 1 };
+const service = { type: "string", enum: ["cloudflare", "github", "neon"] };
+
+export const MESSAGE_SCHEMAS = {
+  "secret-distribution": {
+    type: "object",
+    required: ["contextName", "operation", "services", "secrets", "timestamp"],
+    properties: {
+      contextName: name,
+      operation: { const: "distribute_secrets" },
+      services: { type: "array", items: service, minItems: 1 },
+      secrets: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["service", "secretName", "vaultItem"],
+          properties: {
+            service,
+            worker: name,
+            repo: name,
+            project: name,
+            secretName: name,
+            vaultItem: name,
+            vaultField: name,
+          },
+          additionalProperties: false,
+        },
+      },
+      timestamp,
+      userId: name,
+      jobId: name,
+    },
+    additionalProperties: false,
+  },
+
+  "registry-sync": {
+    type: "object",
+    required: ["operation", "services", "contextName", "timestamp"],
+    properties: {
+      operation: { const: "sync_registry" },
+      services: { type: "array", items: name },
+      contextName: name,
+      timestamp,
+    },
+    additionalProperties: false,
+  },
+
+  "vault-ops": {
+    type: "object",
+    required: ["operation", "vaultName", "timestamp"],
+    properties: {
+      operation: {
+        type: "string",
+        enum: ["create_vault", "store_secret", "rotate_secret"],
+      },
+      vaultName: name,
+      itemName: name,
+      data: { type: "object" },
+      timestamp,
+    },
+    additionalProperties: false,
+  },
+
+  "context-ops": {
+    type: "object",
+    required: ["operation", "contextName", "timestamp"],
+    properties: {
+      operation: { type: "string", enum: ["switch_context", "update_config"] },
+      contextName: name,
+      changes: { type: "object" },
+      timestamp,
+    },
+    additionalProperties: false,
+  },
+
+  blockchain: {
+    type: "object",
+    required: ["chittyId", "priority", "timestamp", "probability", "operation"],
+    properties: {
+      chittyId: name,
+      priority: { type: "string", enum: ["high", "medium", "low"] },
+      timestamp,
+      probability: { type: "number", minimum: 0, maximum: 1 },
+      operation: { type: "string", enum: ["mint", "verify", "store"] },
+      metadata: {
+        type: "object",
+        properties: { entityType: name, contextName: name },
+      },
+    },
+    additionalProperties: false,
+  },
+};
+
+// Schemas for the standard queues, by queue key
+const STANDARD_QUEUE_SCHEMAS = {
+  "chittycontext-secret-distribution": "secret-distribution",
+  "chittycontext-registry-sync": "registry-sync",
+  "chittycontext-vault-ops": "vault-ops",
+  "chittycontext-context-ops": "context-ops",
+  "chittychain-blockchain-queue": "blockchain",
+};
+
+/**
+ * Get the schema for a queue from its config entry or standard queue key
+ *
+ * Returns null when the queue has no known message format.
+ */
+export function schemaForQueue(queueKey, queueConfig = {}) {
+  const schema = queueConfig.schema || STANDARD_QUEUE_SCHEMAS[queueKey];
+  if (!schema) {
+    return null;
+  }
+  if (typeof schema === "object") {
+    return schema;
+  }
+  if (!MESSAGE_SCHEMAS[schema]) {
+    throw new Error(
+      `Unknown message schema '${schema}' (use ${Object.keys(MESSAGE_SCHEMAS).join(", ")})`,
+    );
+  }
+  return MESSAGE_SCHEMAS[schema];
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  return Number.isInteger(value) ? "integer" : typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return type === actual || (type === "number" && actual === "integer");
+}
+
+/**
+ * Validate a value against a schema, returning a list of error messages
+ */
+export function validateMessage(schema, value, path = "message") {
+  const errors = [];
+
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    return errors;
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(
+      `${path} must be ${schema.type === "array" ? "an" : "a"} ${schema.type}`,
+    );
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must not be empty`);
+    }
+    if (
+      schema.format === "date-time" &&
+      (!/^\d{4}-\d{2}-\d{2}T/.test(value) || Number.isNaN(Date.parse(value)))
+    ) {
+      errors.push(`${path} must be an ISO 8601 date-time`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateMessage(schema.items, item, `${path}[${index}]`),
+        );
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(
+          ...validateMessage(propertySchema, child, `${path}.${key}`),
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value and throw with every problem found
+ */
+export function assertValidMessage(schema, value, label = "message") {
+  const errors = validateMessage(schema, value, label);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${label}:\n  ${errors.join("\n  ")}`);
+  }
+  return value;
+}
+
+function build(schemaName, message) {
+  return assertValidMessage(MESSAGE_SCHEMAS[schemaName], message, schemaName);
+}
+
+/**
+ * Build a secret distribution job
+ *
+ * `services` defaults to the services the secrets target.
+ *
+ * @param {{ contextName: string, secrets: SecretMapping[], services?: DistributionService[], userId?: string, jobId?: string, timestamp?: string }} fields
+ * @returns {SecretDistributionMessage}
+ */
+export function buildSecretDistributionMessage({
+  contextName,
+  secrets,
+  services = [...new Set((secrets || []).map((secret) => secret.service))],
+  userId,
+  jobId,
+  timestamp = new Date().toISOString(),
+}) {
+  return build("secret-distribution", {
+    contextName,
+    operation: "distribute_secrets",
+    services,
+    secrets,
+    timestamp,
+    ...(userId && { userId }),
+    ...(jobId && { jobId }),
+  });
+}
+
+/**
+ * Build a registry sync request
+ *
+ * @param {{ contextName: string, services: string[], timestamp?: string }} fields
+ * @returns {RegistrySyncMessage}
+ */
+export function buildRegistrySyncMessage({
+  contextName,
+  services,
+  timestamp = new Date().toISOString(),
+}) {
+  return build("registry-sync", {
+    operation: "sync_registry",
+    services,
+    contextName,
+    timestamp,
+  });
+}
+
+/**
+ * Build a vault operation
+ *
+ * @param {{ operation: VaultOpsMessage["operation"], vaultName: string, itemName?: string, data?: Record<string, string>, timestamp?: string }} fields
+ * @returns {VaultOpsMessage}
+ */
+export function buildVaultOpsMessage({
+  operation,
+  vaultName,
+  itemName,
+  data,
+  timestamp = new Date().toISOString(),
+}) {
+  return build("vault-ops", {
+    operation,
+    vaultName,
+    ...(itemName && { itemName }),
+    ...(data && { data }),
+    timestamp,
+  });
+}
+
+/**
+ * Build a context operation
+ *
+ * @param {{ operation: ContextOpsMessage["operation"], contextName: string, changes?: Record<string, unknown>, timestamp?: string }} fields
+ * @returns {ContextOpsMessage}
+ */
+export function buildContextOpsMessage({
+  operation,
+  contextName,
+  changes,
+  timestamp = new Date().toISOString(),
+}) {
+  return build("context-ops", {
+    operation,
+    contextName,
+    ...(changes && { changes }),
+    timestamp,
+  });
+}
+
+/**
+ * Build a ChittyChain blockchain job
+ *
+ * @param {{ chittyId: string, operation: BlockchainMessage["operation"], priority?: BlockchainMessage["priority"], probability: number, metadata?: BlockchainMessage["metadata"], timestamp?: string }} fields
+ * @returns {BlockchainMessage}
+ */
+export function buildBlockchainMessage({
+  chittyId,
+  operation,
+  priority = "medium",
+  probability,
+  metadata,
+  timestamp = new Date().toISOString(),
+}) {
+  return build("blockchain", {
+    chittyId,
+    priority,
+    timestamp,
+    probability,
+    operation,
+    ...(metadata && { metadata }),
+  });
+}
+
+/**
+ * @typedef {object} DistributionResult
+ * @property {DistributionService} service
+ * @property {string} target Worker, repository or project
+ * @property {string} secretName
+ * @property {"success" | "error" | "skipped"} status
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {object} DistributionJobStatus
+ * @property {string} jobId
+ * @property {string} contextName
+ * @property {"running" | "completed" | "partial" | "failed"} status
+ * @property {number} attempts
+ * @property {string} startedAt ISO 8601
+ * @property {string} [finishedAt] ISO 8601
+ * @property {DistributionResult[]} results
+ * @property {string} [error]
+ */
+
+/**
+ * KV key under which the distribution worker reports a job's status
+ */
+export function jobStatusKey(jobId) {
+  return `job:${jobId}`;
+}
+
+/**
+ * Title of the KV namespace holding a context's job statuses
+ */
+export function jobsNamespaceTitle(contextName) {
+  return `chittycontext-jobs-${contextName}`;
+}
@@ -0,0 +1,287 @@
+/**
+ * Queue Topology - Declarative per-context queue layouts (YAML or JSON)
+ *
+ * A topology file lists queues by key; each queue is created as
+ * `{key}-{context}` unless it sets an explicit `name` (which may contain
+ * `{context}`):
+ *
+ *   queues:
+ *     chittycontext-secret-distribution:
+ *       binding: CHITTYCONTEXT_SECRET_DISTRIBUTION
+ *       schema: secret-distribution
+ *       dead_letter_queue: chittycontext-secret-distribution-dlq
+ *       consumer:
+ *         max_batch_size: 10
+ *         max_retries: 3
+ *     chittycontext-secret-distribution-dlq: {}
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { extname, join } from "path";
+import { parse } from "yaml";
+import { MESSAGE_SCHEMAS } from "./queue-messages.js";
+import { parseConsumerSetting } from "./wrangler.js";
+
+export const TOPOLOGY_FILES = ["queues.yaml", "queues.yml", "queues.json"];
+
+const QUEUE_FIELDS = [
+  "name",
+  "description",
+  "binding",
+  "schema",
+  "dead_letter_queue",
+  "consumer",
+  "contexts",
+];
+
+/**
+ * Find a topology file in a directory
+ */
+export function findTopologyFile(dir) {
+  const match = TOPOLOGY_FILES.map((file) => join(dir, file)).find((path) =>
+    existsSync(path),
+  );
+  if (!match) {
+    throw new Error(
+      `No queue topology found in ${dir} (expected ${TOPOLOGY_FILES.join(", ")})`,
+    );
+  }
+  return match;
+}
+
+/**
+ * Parse and validate topology file content
+ */
+export function parseTopology(content, filePath = "topology") {
+  let data;
+  try {
+    data = extname(filePath) === ".json" ? JSON.parse(content) : parse(content);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+
+  const fail = (path, message) => {
+    throw new Error(`${filePath}: ${path} ${message}`);
+  };
+
+  if (!data || typeof data.queues !== "object" || Array.isArray(data.queues)) {
+    fail("queues", "must be a map of queue keys to settings");
+  }
+
+  const queues = Object.entries(data.queues).map(([key, raw]) => {
+    const path = `queues.${key}`;
+    const settings = raw ?? {};
+
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(key)) {
+      fail(path, "key must be lowercase letters, digits and dashes");
+    }
+    if (typeof settings !== "object" || Array.isArray(settings)) {
+      fail(path, "must be a map of settings");
+    }
+
+    const unknown = Object.keys(settings).find(
+      (field) => !QUEUE_FIELDS.includes(field),
+    );
+    if (unknown) {
+      fail(`${path}.${unknown}`, `is not a queue setting`);
+    }
+
+    for (const field of [
+      "name",
+      "description",
+      "binding",
+      "dead_letter_queue",
+    ]) {
+      if (
+        settings[field] !== undefined &&
+        typeof settings[field] !== "string"
+      ) {
+        fail(`${path}.${field}`, "must be a string");
+      }
+    }
+    if (
+      settings.schema !== undefined &&
+      typeof settings.schema !== "string" &&
+      (typeof settings.schema !== "object" || Array.isArray(settings.schema))
+    ) {
+      fail(`${path}.schema`, "must be a schema name or an inline schema");
+    }
+    if (
+      typeof settings.schema === "string" &&
+      !MESSAGE_SCHEMAS[settings.schema]
+    ) {
+      fail(
+        `${path}.schema`,
+        `must be one of ${Object.keys(MESSAGE_SCHEMAS).join(", ")}`,
+      );
+    }
+    if (
+      settings.contexts !== undefined &&
+      (!Array.isArray(settings.contexts) ||
+        settings.contexts.some((context) => typeof context !== "string"))
+    ) {
+      fail(`${path}.contexts`, "must be a list of context names");
+    }
+
+    const consumer = {};
+    for (const [field, value] of Object.entries(settings.consumer ?? {})) {
+      try {
+        consumer[field] = parseConsumerSetting(field, value);
+      } catch (error) {
+        fail(`${path}.consumer:`, error.message);
+      }
+    }
+
+    return { key, ...settings, consumer };
+  });
+
+  // Dead-letter queues must be declared in the same topology
+  const keys = new Set(queues.map((queue) => queue.key));
+  for (const queue of queues) {
+    if (queue.dead_letter_queue && !keys.has(queue.dead_letter_queue)) {
+      fail(
+        `queues.${queue.key}.dead_letter_queue`,
+        `refers to undeclared queue '${queue.dead_letter_queue}'`,
+      );
+    }
+  }
+
+  return { queues };
+}
+
+/**
+ * Load a topology from a file
+ */
+export function loadTopology(filePath) {
+  return parseTopology(readFileSync(filePath, "utf8"), filePath);
+}
+
+/**
+ * Get the full queue name for a topology entry in a context
+ */
+export function queueNameFor(queue, contextName) {
+  return queue.name
+    ? queue.name.replace(/\{context\}/g, contextName)
+    : `${queue.key}-${contextName}`;
+}
+
+/**
+ * Build the config entry a topology queue should have in a context
+ */
+function desiredEntry(queue, queues, contextName) {
+  const deadLetter = queues.find(
+    (candidate) => candidate.key === queue.dead_letter_queue,
+  );
+  const consumer = {
+    ...queue.consumer,
+    ...(deadLetter && {
+      dead_letter_queue: queueNameFor(deadLetter, contextName),
+    }),
+  };
+
+  return {
+    name: queueNameFor(queue, contextName),
+    ...(queue.description && { description: queue.description }),
+    ...(queue.binding && { binding: queue.binding }),
+    ...(queue.schema && { schema: queue.schema }),
+    ...(Object.keys(consumer).length > 0 && { consumer }),
+  };
+}
+
+// Queue config fields owned by the topology (others, like queueId, are kept)
+export const TOPOLOGY_FIELDS = ["description", "binding", "schema", "consumer"];
+
+/**
+ * Find the key of a queue named `{service}-{operation}-{context}`
+ *
+ * `contexts` lists every known context: a name that ends in a longer
+ * context's suffix belongs to that context, so `prod` does not claim
+ * `events-eu-prod` when an `eu-prod` context exists. Returns null when the
+ * name is not the context's.
+ */
+export function contextQueueKey(name, contextName, contexts = []) {
+  const suffix = `-${contextName}`;
+  if (!name.endsWith(suffix)) {
+    return null;
+  }
+  const claimed = contexts.some(
+    (other) =>
+      other.length > contextName.length &&
+      other.endsWith(suffix) &&
+      name.endsWith(`-${other}`),
+  );
+  const key = name.slice(0, -suffix.length);
+  return !claimed && /^[a-z0-9]+-[a-z0-9][a-z0-9-]*$/.test(key) ? key : null;
+}
+
+/**
+ * Plan the changes that bring a context's queues in line with a topology
+ *
+ * `tracked` is the context's queue config; `remote` is the account's queue
+ * listing. Each action is "create" (missing remotely), "adopt" (exists but
+ * untracked), "update" (tracked settings differ) or "unchanged". Queues
+ * named for the context but absent from the topology are reported as
+ * `extra` and never removed; a remote queue counts as named for the
+ * context only if its name is one the topology gives a queue there.
+ */
+export function planTopology(topology, contextName, { tracked, remote }) {
+  const remoteByName = new Map(
+    remote.map((queue) => [queue.queue_name, queue]),
+  );
+  const trackedByName = new Map(
+    Object.entries(tracked).map(([key, entry]) => [entry.name, { key, entry }]),
+  );
+  const queues = topology.queues.filter(
+    (queue) => !queue.contexts || queue.contexts.includes(contextName),
+  );
+
+  const actions = queues.map((queue) => {
+    const desired = desiredEntry(queue, queues, contextName);
+    const current = trackedByName.get(desired.name);
+    const remoteQueue = remoteByName.get(desired.name);
+
+    let action;
+    if (!remoteQueue) {
+      action = "create";
+    } else if (!current) {
+      action = "adopt";
+    } else {
+      const changed = TOPOLOGY_FIELDS.some(
+        (field) =>
+          JSON.stringify(current.entry[field] ?? null) !==
+          JSON.stringify(desired[field] ?? null),
+      );
+      action = changed ? "update" : "unchanged";
+    }
+
+    return {
+      action,
+      key: current?.key || queue.key,
+      name: desired.name,
+      queueId: remoteQueue?.queue_id,
+      createdAt: remoteQueue?.created_on,
+      desired,
+    };
+  });
+
+  const planned = new Set(actions.map((action) => action.name));
+  const topologyNames = new Set(
+    topology.queues.map((queue) => queueNameFor(queue, contextName)),
+  );
+  const extra = [
+    ...new Set([
+      ...trackedByName.keys(),
+      ...remote
+        .map((queue) => queue.queue_name)
+        .filter((name) => topologyNames.has(name)),
+    ]),
+  ]
+    .filter((name) => !planned.has(name))
+    .map((name) => ({
+      name,
+      tracked: trackedByName.has(name),
+      remote: remoteByName.has(name),
+    }));
+
+  return { actions, extra };
+}
@@ -0,0 +1,158 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  contextQueueKey,
+  parseTopology,
+  planTopology,
+  queueNameFor,
+} from "./queue-topology.js";
+
+const TOPOLOGY = `queues:
+  events:
+    binding: EVENTS
+    dead_letter_queue: events-dlq
+    consumer:
+      max_retries: 3
+  events-dlq: {}
+  audit:
+    name: audit-log-{context}
+    contexts: [prod]
+`;
+
+const remoteQueue = (queue_name, queue_id) => ({
+  queue_name,
+  queue_id,
+  created_on: "2024-01-01",
+});
+
+describe("parseTopology", () => {
+  test("names queues per context and links dead-letter queues", () => {
+    const topology = parseTopology(TOPOLOGY, "queues.yaml");
+    assert.deepEqual(
+      topology.queues.map((queue) => queueNameFor(queue, "prod")),
+      ["events-prod", "events-dlq-prod", "audit-log-prod"],
+    );
+    assert.deepEqual(topology.queues[0].consumer, { max_retries: 3 });
+  });
+
+  test("rejects unknown settings, bad consumers and undeclared DLQs", () => {
+    assert.throws(
+      () => parseTopology(TOPOLOGY.replace("binding:", "bindng:"), "q.yaml"),
+      /^Error: q\.yaml: queues\.events\.bindng is not a queue setting$/,
+    );
+    assert.throws(
+      () =>
+        parseTopology(TOPOLOGY.replace("max_retries: 3", "max_retries: 500")),
+      /queues\.events\.consumer: max_retries must be an integer between 0 and 100/,
+    );
+    assert.throws(
+      () => parseTopology(TOPOLOGY.replace("  events-dlq: {}\n", "")),
+      /queues\.events\.dead_letter_queue refers to undeclared queue 'events-dlq'/,
+    );
+    assert.throws(
+      () => parseTopology('{"queues": []}', "queues.json"),
+      /queues must be a map/,
+    );
+  });
+});
+
+describe("planTopology", () => {
+  const topology = parseTopology(TOPOLOGY, "queues.yaml");
+
+  test("creates missing queues and only the ones for the context", () => {
+    const { actions, extra } = planTopology(topology, "staging", {
+      tracked: {},
+      remote: [],
+    });
+    assert.deepEqual(
+      actions.map(({ action, key, name }) => [action, key, name]),
+      [
+        ["create", "events", "events-staging"],
+        ["create", "events-dlq", "events-dlq-staging"],
+      ],
+    );
+    assert.deepEqual(actions[0].desired.consumer, {
+      max_retries: 3,
+      dead_letter_queue: "events-dlq-staging",
+    });
+    assert.deepEqual(extra, []);
+  });
+
+  test("adopts, updates or keeps existing queues", () => {
+    const { actions } = planTopology(topology, "staging", {
+      tracked: {
+        events: {
+          name: "events-staging",
+          binding: "EVENTS",
+          consumer: { max_retries: 3, dead_letter_queue: "events-dlq-staging" },
+        },
+        old: { name: "events-dlq-staging", binding: "OLD" },
+      },
+      remote: [
+        remoteQueue("events-staging", "q1"),
+        remoteQueue("events-dlq-staging", "q2"),
+      ],
+    });
+    assert.deepEqual(
+      actions.map(({ action, key, queueId }) => [action, key, queueId]),
+      [
+        ["unchanged", "events", "q1"],
+        ["update", "old", "q2"],
+      ],
+    );
+
+    const adopted = planTopology(topology, "staging", {
+      tracked: {},
+      remote: [remoteQueue("events-staging", "q1")],
+    });
+    assert.equal(adopted.actions[0].action, "adopt");
+  });
+
+  test("reports queues the topology no longer plans instead of deleting them", () => {
+    const { actions, extra } = planTopology(topology, "staging", {
+      tracked: { legacy: { name: "legacy-staging" } },
+      remote: [
+        remoteQueue("legacy-staging", "q1"),
+        remoteQueue("audit-log-staging", "q2"),
+        // Another context's queue, only a suffix match
+        remoteQueue("events-eu-staging", "q3"),
+      ],
+    });
+    assert.ok(actions.every(({ action }) => action !== "delete"));
+    assert.deepEqual(extra, [
+      { name: "legacy-staging", tracked: true, remote: true },
+      { name: "audit-log-staging", tracked: false, remote: true },
+    ]);
+  });
+});
+
+describe("contextQueueKey", () => {
+  test("matches {service}-{operation}-{context} names", () => {
+    assert.equal(
+      contextQueueKey("events-ingest-prod", "prod"),
+      "events-ingest",
+    );
+    assert.equal(
+      contextQueueKey("billing-invoice-sync-prod", "prod"),
+      "billing-invoice-sync",
+    );
+    assert.equal(contextQueueKey("events-prod", "prod"), null);
+    assert.equal(contextQueueKey("events-ingest-staging", "prod"), null);
+  });
+
+  test("leaves names ending in a longer context to that context", () => {
+    const contexts = ["prod", "eu-prod"];
+    assert.equal(
+      contextQueueKey("events-ingest-eu-prod", "prod", contexts),
+      null,
+    );
+    assert.equal(
+      contextQueueKey("events-ingest-eu-prod", "eu-prod", contexts),
+      "events-ingest",
+    );
+    assert.equal(
+      contextQueueKey("events-ingest-eu-prod", "prod", ["prod"]),
+      "events-ingest-eu",
+    );
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Rotation - Secret rotation policies and new-value generators
+ *
+ * A policy names a 1Password item field and how old it may get:
+ *
+ *   { item: "api-token", field: "password", maxAge: "90d", window: "7d",
+ *     generator: "cloudflare-token", tokenId: "..." }
+ *
+ * The secret is due once it is within `window` of `maxAge` (measured from
+ * the item's `updated_at`) and expired after `maxAge`.
+ */
+
+import { randomBytes } from "crypto";
+import { runCommand } from "./run-command.js";
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+const RANDOM_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+/**
+ * Parse a duration such as "90d", "12h" or "2w" into milliseconds
+ */
+export function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)([mhdw])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(
+      `Invalid duration '${value}' (use a number followed by m, h, d or w)`,
+    );
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Generate a random alphanumeric string without modulo bias
+ */
+export function randomSecret(length = 32) {
+  let result = "";
+  while (result.length < length) {
+    for (const byte of randomBytes(length * 2)) {
+      // 248 is the largest multiple of 62 below 256
+      if (byte < 248 && result.length < length) {
+        result += RANDOM_ALPHABET[byte % RANDOM_ALPHABET.length];
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Generators issue a new value; `revoke` retires the old credential once
+ * every target has the new one, `discard` retires the new one when the
+ * rotation is rolled back, and `state` is saved back to the policy
+ */
+export const ROTATION_GENERATORS = {
+  random: {
+    description: "Random alphanumeric string (--length, default 32)",
+    async issue(policy) {
+      return { value: randomSecret(policy.length || 32) };
+    },
+  },
+
+  "cloudflare-token": {
+    description:
+      "Cloudflare API token: issue a copy of --token-id, then delete the old token",
+    requires: ["tokenId"],
+    async issue(policy, { getCloudflareClient }) {
+      const client = await getCloudflareClient();
+      const current = await client.getToken(policy.tokenId);
+      const created = await client.createToken({
+        name: current.name,
+        policies: current.policies.map(
+          ({ effect, resources, permission_groups }) => ({
+            effect,
+            resources,
+            permission_groups: permission_groups.map(({ id }) => ({ id })),
+          }),
+        ),
+        ...(current.condition && { condition: current.condition }),
+      });
+
+      return {
+        value: created.value,
+        state: { tokenId: created.id },
+        revoke: () => client.deleteToken(policy.tokenId),
+        discard: () => client.deleteToken(created.id),
+      };
+    },
+  },
+
+  "github-pat": {
+    description:
+      "GitHub fine-grained PAT via a local --command (`issue` prints a new token, `revoke` reads the old one on stdin)",
+    requires: ["command"],
+    async issue(policy, { currentValue }) {
+      // GitHub has no API for issuing fine-grained PATs, so a local helper
+      // (a stub, or a script driving your own tooling) does it
+      const { stdout } = await runCommand(policy.command, ["issue"], {
+        input: currentValue ?? "",
+      });
+      const value = stdout.replace(/\r?\n$/, "");
+      if (!value) {
+        throw new Error(`${policy.command} issue printed no token`);
+      }
+
+      return {
+        value,
+        revoke: currentValue
+          ? () =>
+              runCommand(policy.command, ["revoke"], { input: currentValue })
+          : undefined,
+        discard: () => runCommand(policy.command, ["revoke"], { input: value }),
+      };
+    },
+  },
+};
+
+/**
+ * Validate a policy and fill in defaults
+ */
+export function normalizeRotationPolicy(policy) {
+  const generator = policy.generator || "random";
+  if (!ROTATION_GENERATORS[generator]) {
+    throw new Error(
+      `Unknown generator '${generator}' (use ${Object.keys(ROTATION_GENERATORS).join(", ")})`,
+    );
+  }
+  if (!policy.item) {
+    throw new Error("A rotation policy needs a 1Password item");
+  }
+  if (!policy.maxAge) {
+    throw new Error("A rotation policy needs a max age (e.g. 90d)");
+  }
+
+  const normalized = {
+    item: policy.item,
+    field: policy.field || "password",
+    maxAge: policy.maxAge,
+    window: policy.window || "7d",
+    generator,
+    ...(policy.length !== undefined && { length: Number(policy.length) }),
+    ...(policy.tokenId && { tokenId: policy.tokenId }),
+    ...(policy.command && { command: policy.command }),
+    ...(policy.lastRotatedAt && { lastRotatedAt: policy.lastRotatedAt }),
+  };
+
+  const maxAge = parseDuration(normalized.maxAge);
+  if (parseDuration(normalized.window) >= maxAge) {
+    throw new Error("The rotation window must be shorter than the max age");
+  }
+  if (
+    normalized.length !== undefined &&
+    (!Number.isInteger(normalized.length) || normalized.length < 16)
+  ) {
+    throw new Error("length must be an integer of at least 16");
+  }
+  for (const field of ROTATION_GENERATORS[generator].requires || []) {
+    if (!normalized[field]) {
+      throw new Error(`The ${generator} generator needs ${field}`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Work out whether a secret last updated at `updatedAt` needs rotating
+ *
+ * Returns `{ state, dueAt, expiresAt }` where state is "ok", "due" or
+ * "expired". A secret with no known update time is treated as expired.
+ */
+export function rotationStatus(policy, updatedAt, now = new Date()) {
+  const updated = Date.parse(updatedAt);
+  if (Number.isNaN(updated)) {
+    return { state: "expired", dueAt: null, expiresAt: null };
+  }
+
+  const expiresAt = updated + parseDuration(policy.maxAge);
+  const dueAt = expiresAt - parseDuration(policy.window);
+  const time = now.getTime();
+
+  return {
+    state: time >= expiresAt ? "expired" : time >= dueAt ? "due" : "ok",
+    dueAt: new Date(dueAt).toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
@@ -0,0 +1,93 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeRotationPolicy,
+  parseDuration,
+  randomSecret,
+  rotationStatus,
+} from "./rotation.js";
+
+const HOUR = 60 * 60 * 1000;
+
+describe("parseDuration", () => {
+  test("reads minutes, hours, days and weeks", () => {
+    assert.equal(parseDuration("30m"), HOUR / 2);
+    assert.equal(parseDuration(" 12h "), 12 * HOUR);
+    assert.equal(parseDuration("1.5d"), 36 * HOUR);
+    assert.equal(parseDuration("2w"), 14 * 24 * HOUR);
+  });
+
+  test("rejects anything else", () => {
+    for (const value of ["90", "d", "-1d", "1y", "1 d", "", undefined]) {
+      assert.throws(
+        () => parseDuration(value),
+        /use a number followed by m, h, d or w/,
+      );
+    }
+  });
+});
+
+describe("rotationStatus", () => {
+  const policy = { maxAge: "30d", window: "7d" };
+  const updatedAt = "2026-01-01T00:00:00.000Z";
+  const at = (iso) => new Date(iso);
+
+  test("is ok, then due within the window, then expired", () => {
+    assert.deepEqual(rotationStatus(policy, updatedAt, at("2026-01-20")), {
+      state: "ok",
+      dueAt: "2026-01-24T00:00:00.000Z",
+      expiresAt: "2026-01-31T00:00:00.000Z",
+    });
+    assert.equal(
+      rotationStatus(policy, updatedAt, at("2026-01-24T00:00:00Z")).state,
+      "due",
+    );
+    assert.equal(
+      rotationStatus(policy, updatedAt, at("2026-01-31T00:00:00Z")).state,
+      "expired",
+    );
+  });
+
+  test("treats an unknown update time as expired", () => {
+    assert.deepEqual(rotationStatus(policy, undefined), {
+      state: "expired",
+      dueAt: null,
+      expiresAt: null,
+    });
+  });
+});
+
+describe("normalizeRotationPolicy", () => {
+  test("fills in defaults", () => {
+    assert.deepEqual(normalizeRotationPolicy({ item: "api", maxAge: "90d" }), {
+      item: "api",
+      field: "password",
+      maxAge: "90d",
+      window: "7d",
+      generator: "random",
+    });
+  });
+
+  test("rejects invalid policies", () => {
+    const invalid = [
+      [{ maxAge: "90d" }, /needs a 1Password item/],
+      [{ item: "api" }, /needs a max age/],
+      [{ item: "api", maxAge: "7d" }, /window must be shorter/],
+      [{ item: "api", maxAge: "90d", length: 8 }, /at least 16/],
+      [{ item: "api", maxAge: "90d", generator: "dice" }, /Unknown generator/],
+      [
+        { item: "api", maxAge: "90d", generator: "cloudflare-token" },
+        /needs tokenId/,
+      ],
+    ];
+    for (const [policy, error] of invalid) {
+      assert.throws(() => normalizeRotationPolicy(policy), error);
+    }
+  });
+});
+
+test("randomSecret is alphanumeric and of the requested length", () => {
+  const secret = randomSecret(64);
+  assert.match(secret, /^[A-Za-z0-9]{64}$/);
+  assert.notEqual(randomSecret(64), secret);
+});
@@ -0,0 +1,64 @@
+/**
+ * Run Command - Invoke external tools (op, wrangler, gh) without a shell
+ */
+
+import { spawn } from "child_process";
+
+/**
+ * Run a command with an argument array, feeding `input` on stdin
+ *
+ * Arguments reach the process as-is (no quoting, splitting or expansion).
+ * Secret values belong in `input`: unlike arguments, stdin does not show up
+ * in process listings. Resolves with `{ stdout, stderr }`; rejects with an
+ * error carrying `code`, `stdout` and `stderr` whose message names only the
+ * command and its first two arguments.
+ */
+export function runCommand(command, args = [], { input, env, cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd,
+      env: env || process.env,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    let stdout = "";
+    let stderr = "";
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+
+    child.on("error", (error) => {
+      reject(
+        Object.assign(
+          new Error(
+            error.code === "ENOENT"
+              ? `${command} not found on PATH`
+              : `${command} failed to start: ${error.message}`,
+          ),
+          { code: error.code, stdout, stderr },
+        ),
+      );
+    });
+
+    child.on("close", (code, signal) => {
+      if (code === 0) {
+        resolve({ stdout, stderr });
+        return;
+      }
+      const detail = stderr.trim() || stdout.trim();
+      reject(
+        Object.assign(
+          new Error(
+            `${[command, ...args.slice(0, 2)].join(" ")} exited with ${signal || `code ${code}`}${detail ? `: ${detail}` : ""}`,
+          ),
+          { code, stdout, stderr },
+        ),
+      );
+    });
+
+    // A tool that exits without reading stdin must not crash us with EPIPE
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
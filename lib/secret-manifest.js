@@ -0,0 +1,275 @@
+/**
+ * Secret Manifest - Declarative secret distribution mappings (YAML or JSON)
+ *
+ * A manifest lists secrets, the 1Password item field each comes from and
+ * where it is pushed. Cloudflare targets may be worker name globs ("*" is
+ * every worker in the context's account):
+ *
+ *   secrets:
+ *     - name: API_TOKEN
+ *       item: cloudflare-api        # in the ChittyContext-<context> vault
+ *       field: credential           # defaults to password
+ *       targets:
+ *         cloudflare: ["*"]
+ *         github: [chittyos/platform]
+ *         neon: [proj-123]
+ *       contexts: [prod]            # optional; defaults to every context
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { join } from "path";
+import { LineCounter, parseDocument } from "yaml";
+import {
+  MAPPING_TARGET_FIELDS,
+  REPO_PATTERN,
+  SECRET_NAME_PATTERN,
+  syncStateKey,
+} from "./secrets-manager.js";
+
+export const MANIFEST_FILES = ["secrets.yaml", "secrets.yml", "secrets.json"];
+
+const SECRET_FIELDS = ["name", "item", "field", "targets", "contexts"];
+
+/**
+ * Find a secret manifest in a directory
+ */
+export function findSecretManifest(dir) {
+  const match = MANIFEST_FILES.map((file) => join(dir, file)).find((path) =>
+    existsSync(path),
+  );
+  if (!match) {
+    throw new Error(
+      `No secret manifest found in ${dir} (expected ${MANIFEST_FILES.join(", ")})`,
+    );
+  }
+  return match;
+}
+
+/**
+ * Whether a target is a glob rather than a literal name
+ */
+export function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Match a name against a glob where `*` is any run and `?` one character
+ */
+export function matchGlob(pattern, name) {
+  const source = pattern
+    .split("")
+    .map((char) =>
+      char === "*"
+        ? ".*"
+        : char === "?"
+          ? "."
+          : char.replace(/[.+^${}()|[\]\\]/g, "\\$&"),
+    )
+    .join("");
+  return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * Parse and validate manifest content
+ *
+ * JSON is parsed as YAML (of which it is a subset) so errors in either can
+ * be reported as `file:line: path message`. Each secret keeps its `line`.
+ */
+export function parseSecretManifest(content, filePath = "manifest") {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter });
+
+  if (doc.errors.length > 0) {
+    const [error] = doc.errors;
+    const [position] = error.linePos || [];
+    throw new Error(
+      `${filePath}:${position ? `${position.line}:${position.col}` : "1"}: ${error.message.split(" at line")[0]}`,
+    );
+  }
+
+  // Line of the deepest node along `path` that exists
+  const lineOf = (path) => {
+    for (let depth = path.length; depth >= 0; depth--) {
+      const node =
+        depth === 0 ? doc.contents : doc.getIn(path.slice(0, depth), true);
+      if (node?.range) {
+        return lineCounter.linePos(node.range[0]).line;
+      }
+    }
+    return 1;
+  };
+  const fail = (path, message) => {
+    throw new Error(
+      `${filePath}:${lineOf(path)}: ${path.join(".")} ${message}`,
+    );
+  };
+
+  const data = doc.toJS();
+  if (!data || !Array.isArray(data.secrets)) {
+    fail(["secrets"], "must be a list of secrets");
+  }
+
+  const isStringList = (value) =>
+    Array.isArray(value) && value.every((entry) => typeof entry === "string");
+
+  const secrets = data.secrets.map((entry, index) => {
+    const path = ["secrets", index];
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      fail(path, "must be a map of settings");
+    }
+
+    const unknown = Object.keys(entry).find(
+      (field) => !SECRET_FIELDS.includes(field),
+    );
+    if (unknown) {
+      fail([...path, unknown], "is not a secret setting");
+    }
+    if (
+      typeof entry.name !== "string" ||
+      !SECRET_NAME_PATTERN.test(entry.name)
+    ) {
+      fail(
+        [...path, "name"],
+        "must be a secret name (letters, digits and underscores)",
+      );
+    }
+    for (const field of ["item", "field"]) {
+      if (
+        (field === "item" || entry[field] !== undefined) &&
+        (typeof entry[field] !== "string" || !entry[field])
+      ) {
+        fail(
+          [...path, field],
+          `must be a 1Password ${field === "item" ? "item" : "field"} name`,
+        );
+      }
+    }
+    if (entry.contexts !== undefined && !isStringList(entry.contexts)) {
+      fail([...path, "contexts"], "must be a list of context names");
+    }
+
+    const targets = entry.targets;
+    if (!targets || typeof targets !== "object" || Array.isArray(targets)) {
+      fail(
+        [...path, "targets"],
+        `must map ${Object.keys(MAPPING_TARGET_FIELDS).join(", ")} to targets`,
+      );
+    }
+    const normalized = {};
+    for (const [service, value] of Object.entries(targets)) {
+      const servicePath = [...path, "targets", service];
+      if (!MAPPING_TARGET_FIELDS[service]) {
+        fail(servicePath, "is not a service");
+      }
+      const list = typeof value === "string" ? [value] : value;
+      if (!isStringList(list) || list.length === 0) {
+        fail(servicePath, "must be a target or a list of targets");
+      }
+      list.forEach((target, position) => {
+        const targetPath =
+          typeof value === "string" ? servicePath : [...servicePath, position];
+        if (!target) {
+          fail(targetPath, "must not be empty");
+        }
+        if (service !== "cloudflare" && isGlob(target)) {
+          fail(targetPath, "globs are only supported for cloudflare workers");
+        }
+        if (service === "github" && !REPO_PATTERN.test(target)) {
+          fail(targetPath, `'${target}' is not owner/repo`);
+        }
+      });
+      normalized[service] = list;
+    }
+    if (Object.keys(normalized).length === 0) {
+      fail([...path, "targets"], "must list at least one target");
+    }
+
+    return {
+      line: lineOf(path),
+      name: entry.name,
+      item: entry.item,
+      field: entry.field || "password",
+      targets: normalized,
+      ...(entry.contexts && { contexts: entry.contexts }),
+    };
+  });
+
+  return { file: filePath, secrets };
+}
+
+/**
+ * Load a manifest from a file
+ */
+export function loadSecretManifest(filePath) {
+  return parseSecretManifest(readFileSync(filePath, "utf8"), filePath);
+}
+
+/**
+ * Whether any of a context's manifest secrets target workers by glob
+ */
+export function manifestNeedsWorkers(manifest, contextName) {
+  return manifest.secrets.some(
+    (secret) =>
+      (!secret.contexts || secret.contexts.includes(contextName)) &&
+      (secret.targets.cloudflare || []).some(isGlob),
+  );
+}
+
+/**
+ * Expand a manifest into a context's distribution mappings
+ *
+ * `workers` lists the account's worker names, for globs. A glob matching no
+ * worker, or two secrets pushing different values to the same target and
+ * name, is an error; identical repeats (e.g. a worker named explicitly and
+ * by "*") collapse into one mapping.
+ */
+export function manifestMappings(manifest, contextName, { workers = [] } = {}) {
+  const mappings = new Map();
+
+  for (const secret of manifest.secrets) {
+    if (secret.contexts && !secret.contexts.includes(contextName)) {
+      continue;
+    }
+
+    for (const [service, patterns] of Object.entries(secret.targets)) {
+      const targets = patterns.flatMap((pattern) => {
+        if (!isGlob(pattern)) {
+          return [pattern];
+        }
+        const matched = workers.filter((worker) => matchGlob(pattern, worker));
+        if (matched.length === 0) {
+          throw new Error(
+            `${manifest.file}:${secret.line}: '${pattern}' matches no workers in context '${contextName}'`,
+          );
+        }
+        return matched;
+      });
+
+      for (const target of targets) {
+        const key = syncStateKey(service, target, secret.name);
+        const existing = mappings.get(key);
+        if (
+          existing &&
+          (existing.mapping.item !== secret.item ||
+            existing.mapping.field !== secret.field)
+        ) {
+          throw new Error(
+            `${manifest.file}:${secret.line}: ${secret.name} for ${service}/${target} is also mapped on line ${existing.line}`,
+          );
+        }
+        mappings.set(key, {
+          line: existing?.line ?? secret.line,
+          mapping: {
+            service,
+            name: secret.name,
+            item: secret.item,
+            field: secret.field,
+            [MAPPING_TARGET_FIELDS[service].field]: target,
+          },
+        });
+      }
+    }
+  }
+
+  return [...mappings.values()].map(({ mapping }) => mapping);
+}
@@ -0,0 +1,104 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  manifestMappings,
+  matchGlob,
+  parseSecretManifest,
+} from "./secret-manifest.js";
+
+const MANIFEST = `# Platform secrets
+secrets:
+  - name: API_TOKEN
+    item: api
+    targets:
+      cloudflare: ["*-prod", web]
+      github: chittyos/platform
+  - name: DB_URL
+    item: db
+    field: url
+    targets:
+      cloudflare: "*"
+    contexts: [prod]
+`;
+
+describe("parseSecretManifest", () => {
+  test("normalizes targets and keeps each secret's line", () => {
+    const { secrets } = parseSecretManifest(MANIFEST, "secrets.yaml");
+    assert.deepEqual(secrets[0], {
+      line: 3,
+      name: "API_TOKEN",
+      item: "api",
+      field: "password",
+      targets: { cloudflare: ["*-prod", "web"], github: ["chittyos/platform"] },
+    });
+    assert.deepEqual(secrets[1].contexts, ["prod"]);
+  });
+
+  test("reports validation errors by line, in YAML and JSON", () => {
+    assert.throws(
+      () =>
+        parseSecretManifest(
+          MANIFEST.replace("chittyos/platform", "platform"),
+          "secrets.yaml",
+        ),
+      /^Error: secrets\.yaml:7: secrets\.0\.targets\.github 'platform' is not owner\/repo$/,
+    );
+    assert.throws(
+      () => parseSecretManifest(MANIFEST.replace("field:", "feild:")),
+      /^Error: manifest:10: secrets\.1\.feild is not a secret setting$/,
+    );
+    assert.throws(
+      () =>
+        parseSecretManifest(
+          '{\n  "secrets": [\n    {"name": "A", "item": "x",\n     "targets": {"neon": "p-*"}}\n  ]\n}',
+          "secrets.json",
+        ),
+      /^Error: secrets\.json:4: .*globs are only supported for cloudflare/,
+    );
+    assert.throws(
+      () => parseSecretManifest("secrets: [\n  {name: A\n", "secrets.yaml"),
+      /^Error: secrets\.yaml:3:1: /,
+    );
+  });
+});
+
+describe("manifestMappings", () => {
+  const manifest = parseSecretManifest(MANIFEST, "secrets.yaml");
+  const workers = ["api-prod", "auth-prod", "web"];
+
+  test("expands worker globs and filters by context", () => {
+    const mappings = manifestMappings(manifest, "staging", { workers });
+    assert.deepEqual(
+      mappings.map((mapping) => [mapping.name, mapping.worker ?? mapping.repo]),
+      [
+        ["API_TOKEN", "api-prod"],
+        ["API_TOKEN", "auth-prod"],
+        ["API_TOKEN", "web"],
+        ["API_TOKEN", "chittyos/platform"],
+      ],
+    );
+    assert.equal(manifestMappings(manifest, "prod", { workers }).length, 7);
+  });
+
+  test("rejects unmatched globs and conflicting duplicates", () => {
+    assert.throws(
+      () => manifestMappings(manifest, "staging", { workers: ["web"] }),
+      /secrets\.yaml:3: '\*-prod' matches no workers/,
+    );
+
+    const conflicting = parseSecretManifest(
+      `${MANIFEST}  - name: API_TOKEN\n    item: other\n    targets: {cloudflare: web}\n`,
+      "secrets.yaml",
+    );
+    assert.throws(
+      () => manifestMappings(conflicting, "staging", { workers }),
+      /secrets\.yaml:14: API_TOKEN for cloudflare\/web is also mapped on line 3/,
+    );
+  });
+
+  test("matchGlob only expands * and ?", () => {
+    assert.ok(matchGlob("api-*", "api-prod"));
+    assert.ok(matchGlob("api-?", "api-1"));
+    assert.ok(!matchGlob("api.*", "api-prod"));
+  });
+});
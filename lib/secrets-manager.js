@@ -2,10 +2,145 @@
  * Secrets Manager - Manage 1Password vaults and distribute secrets
  */
 
-import { exec } from "child_process";
-import { promisify } from "util";
+import { createHash } from "crypto";
+import { runCommand } from "./run-command.js";
+import { runTasks } from "./task-pool.js";
 
-const execAsync = promisify(exec);
+// Tolerance when comparing a target's last-updated time with our last sync
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Hash a secret value so later syncs can tell whether it changed
+ */
+export function hashSecret(value) {
+  return `sha256:${createHash("sha256").update(value).digest("hex")}`;
+}
+
+/**
+ * Key identifying a mapping's target in the recorded sync state
+ */
+export function syncStateKey(service, target, secretName) {
+  return `${service}:${target}:${secretName}`;
+}
+
+/**
+ * Whether a failure looks transient (rate limits, 5xx, network errors)
+ */
+export function isTransientError(error) {
+  // Judge the innermost error only: wrapping messages name the target (a
+  // Worker called `api-500` is no 5xx), and a failed command's own stderr
+  // says more than its message
+  let root = error;
+  while (root.cause instanceof Error) {
+    root = root.cause;
+  }
+  return /\b(429|5\d\d)\b|rate.?limit|timed? ?out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|socket hang up|temporarily unavailable/i.test(
+    root.stderr || root.message,
+  );
+}
+
+// Parallel pushes per service unless overridden
+export const DISTRIBUTION_CONCURRENCY = { cloudflare: 4, github: 4, neon: 2 };
+
+// Result status for each pushed plan action
+const SYNC_STATUS = { create: "created", update: "updated" };
+
+function poolOptions({ concurrency = {}, retries = 3 } = {}) {
+  return {
+    limits: { ...DISTRIBUTION_CONCURRENCY, ...concurrency },
+    retries,
+    isRetryable: isTransientError,
+  };
+}
+
+/**
+ * Find an item field by ID, label or purpose (e.g. "password")
+ */
+export function findItemField(item, fieldName) {
+  return (item.fields || []).find(
+    (candidate) =>
+      candidate.id === fieldName ||
+      candidate.label === fieldName ||
+      candidate.purpose?.toLowerCase() === fieldName.toLowerCase(),
+  );
+}
+
+// Secret names every target accepts
+export const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// GitHub repository slugs
+export const REPO_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+
+// Mapping field naming each service's target, and the CLI flag that sets it
+export const MAPPING_TARGET_FIELDS = {
+  cloudflare: { field: "worker", flag: "--worker" },
+  github: { field: "repo", flag: "--repo" },
+  neon: { field: "projectId", flag: "--project" },
+};
+
+/**
+ * Check a distribution mapping has everything its service needs
+ */
+export function validateSecretMapping(service, mapping) {
+  const target = MAPPING_TARGET_FIELDS[service];
+  if (!target) {
+    throw new Error(
+      `Unknown service '${service}' (use ${Object.keys(MAPPING_TARGET_FIELDS).join(", ")})`,
+    );
+  }
+  if (!mapping[target.field]) {
+    throw new Error(
+      `A ${service} mapping needs a ${target.field} (${target.flag})`,
+    );
+  }
+  if (service === "github" && !REPO_PATTERN.test(mapping.repo)) {
+    throw new Error(`Invalid repo '${mapping.repo}' (use owner/repo)`);
+  }
+  if (!mapping.name) {
+    throw new Error("A mapping needs a secret name (--secret-name)");
+  }
+  if (!SECRET_NAME_PATTERN.test(mapping.name)) {
+    throw new Error(
+      `Invalid secret name '${mapping.name}' (use letters, digits and underscores)`,
+    );
+  }
+  if (!mapping.item) {
+    throw new Error("A mapping needs a 1Password item (--vault-item)");
+  }
+}
+
+/**
+ * A distribution config's mappings as `[service, secret]` pairs
+ */
+function distributionMappings(contextConfig) {
+  return [
+    ...(contextConfig.cloudflareSecrets || []).map((secret) => [
+      "cloudflare",
+      secret,
+    ]),
+    ...(contextConfig.githubSecrets || []).map((secret) => ["github", secret]),
+    ...(contextConfig.neonSecrets || []).map((secret) => ["neon", secret]),
+  ];
+}
+
+function mappingStep([service, secret]) {
+  return {
+    service,
+    target: secret[MAPPING_TARGET_FIELDS[service].field],
+    secret: secret.name,
+    item: secret.item,
+    field: secret.field || "password",
+  };
+}
+
+// Inventory statuses that count as drift
+export const INVENTORY_DRIFT = [
+  "stale",
+  "missing",
+  "unexpected",
+  "dangling",
+  "error",
+];
 
 export class SecretsManager {
   /**
@@ -14,32 +149,51 @@ export class SecretsManager {
   async createVault(contextName) {
     try {
       const vaultName = `ChittyContext-${contextName}`;
-      const { stdout } = await execAsync(`op vault create "${vaultName}"`);
+      const { stdout } = await runCommand("op", ["vault", "create", vaultName]);
       console.log(`✅ Created 1Password vault: ${vaultName}`);
       return { vaultName, output: stdout.trim() };
     } catch (error) {
-      throw new Error(`Failed to create vault: ${error.message}`);
+      throw new Error(`Failed to create vault: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
   /**
    * Store a secret in 1Password
+   *
+   * Field values are piped to `op` as an item template on stdin.
    */
   async storeSecret(vaultName, itemName, secretData) {
     try {
-      // Build the op item create command
-      const fields = Object.entries(secretData)
-        .map(([key, value]) => `${key}=${value}`)
-        .join(" ");
+      const template = {
+        fields: Object.entries(secretData).map(([key, value]) => ({
+          id: key,
+          label: key,
+          type: "CONCEALED",
+          ...(key === "password" && { purpose: "PASSWORD" }),
+          value: String(value),
+        })),
+      };
 
-      const { stdout } = await execAsync(
-        `op item create --category=Password --title="${itemName}" --vault="${vaultName}" ${fields}`,
+      const { stdout } = await runCommand(
+        "op",
+        [
+          "item",
+          "create",
+          "--category=Password",
+          `--title=${itemName}`,
+          `--vault=${vaultName}`,
+        ],
+        { input: JSON.stringify(template) },
       );
 
       console.log(`✅ Stored secret: ${itemName} in vault ${vaultName}`);
       return stdout.trim();
     } catch (error) {
-      throw new Error(`Failed to store secret: ${error.message}`);
+      throw new Error(`Failed to store secret: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
@@ -48,10 +202,11 @@ export class SecretsManager {
    */
   async distributeToCloudflare(workerName, secretName, secretValue, accountId) {
     try {
-      // Use wrangler secret put
-      const { stdout } = await execAsync(
-        `echo "${secretValue}" | wrangler secret put ${secretName} --name ${workerName}`,
+      const { stdout } = await runCommand(
+        "wrangler",
+        ["secret", "put", secretName, "--name", workerName],
         {
+          input: secretValue,
           env: {
             ...process.env,
             CLOUDFLARE_ACCOUNT_ID: accountId,
@@ -59,12 +214,11 @@ export class SecretsManager {
         },
       );
 
-      console.log(
-        `✅ Distributed ${secretName} to Cloudflare Worker: ${workerName}`,
-      );
       return stdout.trim();
     } catch (error) {
-      throw new Error(`Failed to distribute to Cloudflare: ${error.message}`);
+      throw new Error(`Failed to distribute to Cloudflare: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
@@ -73,15 +227,17 @@ export class SecretsManager {
    */
   async distributeToGitHub(repo, secretName, secretValue) {
     try {
-      // Use gh secret set
-      const { stdout } = await execAsync(
-        `echo "${secretValue}" | gh secret set ${secretName} --repo ${repo}`,
+      const { stdout } = await runCommand(
+        "gh",
+        ["secret", "set", secretName, "--repo", repo],
+        { input: secretValue },
       );
 
-      console.log(`✅ Distributed ${secretName} to GitHub repo: ${repo}`);
       return stdout.trim();
     } catch (error) {
-      throw new Error(`Failed to distribute to GitHub: ${error.message}`);
+      throw new Error(`Failed to distribute to GitHub: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
@@ -91,102 +247,540 @@ export class SecretsManager {
   async distributeToNeon(projectId, secretName, secretValue) {
     try {
       // Neon uses connection strings, typically stored as env vars
-      // For now, we'll store in 1Password with neon reference
+      // For now, we'll store in 1Password with neon reference, editing the
+      // item on later pushes rather than creating a duplicate
       const itemName = `neon-${projectId}-${secretName}`;
-      await this.storeSecret("ChittyOS", itemName, {
-        connection_string: secretValue,
-        project_id: projectId,
-      });
-
-      console.log(
-        `✅ Stored ${secretName} for Neon project: ${projectId} in 1Password`,
+      const existing = (await this.listVaultItems("ChittyOS")).find(
+        (item) => item.title === itemName,
       );
+      if (existing) {
+        await this.updateItemField(
+          "ChittyOS",
+          existing.id,
+          "connection_string",
+          secretValue,
+        );
+      } else {
+        await this.storeSecret("ChittyOS", itemName, {
+          connection_string: secretValue,
+          project_id: projectId,
+        });
+      }
+
       return {
         stored: true,
         reference: `op://ChittyOS/${itemName}/connection_string`,
       };
     } catch (error) {
-      throw new Error(`Failed to distribute to Neon: ${error.message}`);
+      throw new Error(`Failed to distribute to Neon: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
   /**
-   * Sync secrets from 1Password to all configured services
+   * List the secret names already set on a target
+   *
+   * Returns a map of name to last-updated time (null where the target does
+   * not expose one). Throws if the target is missing or inaccessible.
    */
-  async syncSecretsToServices(contextConfig, vaultName) {
-    const results = {
-      cloudflare: [],
-      github: [],
-      neon: [],
-      errors: [],
-    };
+  async listTargetSecrets(service, target, accountId) {
+    if (!target) {
+      throw new Error(
+        `No ${service === "cloudflare" ? "worker" : service === "github" ? "repo" : "project"} configured`,
+      );
+    }
 
     try {
-      // Cloudflare secrets
-      if (contextConfig.cloudflare && contextConfig.cloudflareSecrets) {
-        for (const secret of contextConfig.cloudflareSecrets) {
-          try {
-            const value = await this.fetch1PasswordSecret(
-              `op://${vaultName}/${secret.item}/${secret.field}`,
-            );
-            await this.distributeToCloudflare(
-              secret.worker,
-              secret.name,
-              value,
-              contextConfig.cloudflareAccountId,
-            );
-            results.cloudflare.push({ secret: secret.name, status: "success" });
-          } catch (error) {
-            results.errors.push({
-              service: "cloudflare",
-              secret: secret.name,
-              error: error.message,
-            });
-          }
-        }
+      if (service === "cloudflare") {
+        const { stdout } = await runCommand(
+          "wrangler",
+          ["secret", "list", "--name", target],
+          { env: { ...process.env, CLOUDFLARE_ACCOUNT_ID: accountId } },
+        );
+        return new Map(JSON.parse(stdout).map((secret) => [secret.name, null]));
       }
 
-      // GitHub secrets
-      if (contextConfig.github && contextConfig.githubSecrets) {
-        for (const secret of contextConfig.githubSecrets) {
-          try {
-            const value = await this.fetch1PasswordSecret(
-              `op://${vaultName}/${secret.item}/${secret.field}`,
-            );
-            await this.distributeToGitHub(secret.repo, secret.name, value);
-            results.github.push({ secret: secret.name, status: "success" });
-          } catch (error) {
-            results.errors.push({
-              service: "github",
-              secret: secret.name,
-              error: error.message,
-            });
-          }
+      if (service === "github") {
+        const { stdout } = await runCommand("gh", [
+          "secret",
+          "list",
+          "--repo",
+          target,
+          "--json",
+          "name,updatedAt",
+        ]);
+        return new Map(
+          JSON.parse(stdout).map((secret) => [secret.name, secret.updatedAt]),
+        );
+      }
+
+      // Neon secrets are stored as ChittyOS vault items (see distributeToNeon)
+      const prefix = `neon-${target}-`;
+      const items = await this.listVaultItems("ChittyOS");
+      return new Map(
+        items
+          .filter((item) => item.title?.startsWith(prefix))
+          .map((item) => [item.title.slice(prefix.length), item.updated_at]),
+      );
+    } catch (error) {
+      const detail = error.stderr?.trim().split("\n").pop() || error.message;
+      throw new Error(`Cannot read ${service} target ${target}: ${detail}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Resolve one mapping and decide what a sync would do with it
+   */
+  async resolveSyncStep(step, secret, vaultName, contextConfig, listings) {
+    const { service, target } = step;
+    const listingKey = `${service}:${target}`;
+    if (!listings.has(listingKey)) {
+      // Share one listing per target; forget failures so retries re-list
+      listings.set(
+        listingKey,
+        this.listTargetSecrets(
+          service,
+          target,
+          contextConfig.cloudflareAccountId,
+        ).catch((error) => {
+          listings.delete(listingKey);
+          throw error;
+        }),
+      );
+    }
+    const existing = await listings.get(listingKey);
+
+    const value = await this.fetch1PasswordSecret(
+      `op://${vaultName}/${step.item}/${step.field}`,
+    );
+    const hash = hashSecret(value);
+    const state = (contextConfig.syncState || {})[
+      syncStateKey(service, target, secret.name)
+    ];
+    const updatedAt = existing.get(secret.name);
+
+    if (!existing.has(secret.name)) {
+      return { action: "create", reason: "not set", hash, value };
+    }
+    if (!state) {
+      return {
+        action: "update",
+        reason: "not synced from this machine",
+        hash,
+        value,
+      };
+    }
+    if (state.hash !== hash) {
+      return { action: "update", reason: "value changed", hash, value };
+    }
+    if (
+      updatedAt &&
+      Date.parse(updatedAt) > Date.parse(state.syncedAt) + CLOCK_SKEW_MS
+    ) {
+      return {
+        action: "update",
+        reason: "changed on target since last sync",
+        hash,
+        value,
+      };
+    }
+    return { action: "unchanged", hash, value };
+  }
+
+  /**
+   * Resolve every mapping and decide what a sync would do with it
+   *
+   * Each step is "create" (not set on the target), "update" (value changed,
+   * never synced from here, or changed on the target since), "unchanged" or
+   * "error". Steps carry the resolved value, so they must not be printed.
+   */
+  async resolveSyncSteps(contextConfig, vaultName, options = {}) {
+    const listings = new Map();
+    const mappings = distributionMappings(contextConfig);
+    const steps = mappings.map(mappingStep);
+
+    const outcomes = await runTasks(
+      mappings.map(([service, secret], index) => ({
+        group: service,
+        run: () =>
+          this.resolveSyncStep(
+            steps[index],
+            secret,
+            vaultName,
+            contextConfig,
+            listings,
+          ),
+      })),
+      poolOptions(options),
+    );
+
+    return steps.map((step, index) => {
+      const { ok, value, error, attempts, durationMs } = outcomes[index];
+      return ok
+        ? { ...step, ...value, attempts, durationMs }
+        : {
+            ...step,
+            action: "error",
+            error: error.message,
+            attempts,
+            durationMs,
+          };
+    });
+  }
+
+  /**
+   * Plan a sync without writing anything
+   */
+  async planSecretSync(contextConfig, vaultName, options = {}) {
+    const steps = await this.resolveSyncSteps(
+      contextConfig,
+      vaultName,
+      options,
+    );
+    return steps.map(({ value, hash, attempts, durationMs, ...step }) => step);
+  }
+
+  /**
+   * Report where each mapped secret is deployed and whether it is current
+   *
+   * Lists every mapped target once and returns one entry per mapping, with
+   * `status`:
+   *   current    - present, with the value last synced from 1Password
+   *   stale      - present, but 1Password or the target changed since
+   *   unverified - present, never synced from this machine
+   *   missing    - not set on the target
+   *   dangling   - the mapping's 1Password item does not exist
+   *   error      - the target could not be read
+   * followed by an "unexpected" entry for each secret set on a mapped target
+   * that no mapping for that target names.
+   */
+  async secretInventory(contextConfig, vaultName, options = {}) {
+    const steps = distributionMappings(contextConfig).map(mappingStep);
+    const items = await this.listVaultItems(vaultName);
+    const itemNames = new Set(items.flatMap((item) => [item.title, item.id]));
+
+    const targets = [
+      ...new Map(
+        steps.map((step) => [`${step.service}:${step.target}`, step]),
+      ).values(),
+    ];
+    const listingOutcomes = await runTasks(
+      targets.map(({ service, target }) => ({
+        group: service,
+        run: () =>
+          this.listTargetSecrets(
+            service,
+            target,
+            contextConfig.cloudflareAccountId,
+          ),
+      })),
+      poolOptions(options),
+    );
+    const listings = new Map(
+      targets.map(({ service, target }, index) => [
+        `${service}:${target}`,
+        listingOutcomes[index],
+      ]),
+    );
+
+    const outcomes = await runTasks(
+      steps.map((step) => ({
+        group: step.service,
+        run: () =>
+          this.inventoryStatus(
+            step,
+            listings.get(`${step.service}:${step.target}`),
+            itemNames,
+            vaultName,
+            contextConfig,
+          ),
+      })),
+      poolOptions(options),
+    );
+    const entries = steps.map((step, index) => ({
+      ...step,
+      ...(outcomes[index].ok
+        ? outcomes[index].value
+        : { status: "error", detail: outcomes[index].error.message }),
+    }));
+
+    for (const [index, { service, target }] of targets.entries()) {
+      const listing = listingOutcomes[index];
+      if (!listing.ok) {
+        continue;
+      }
+      const mapped = new Set(
+        steps
+          .filter((step) => step.service === service && step.target === target)
+          .map((step) => step.secret),
+      );
+      for (const name of listing.value.keys()) {
+        if (!mapped.has(name)) {
+          entries.push({
+            service,
+            target,
+            secret: name,
+            status: "unexpected",
+            detail: "not in the context's mappings",
+          });
         }
       }
+    }
 
-      // Neon secrets
-      if (contextConfig.neon && contextConfig.neonSecrets) {
-        for (const secret of contextConfig.neonSecrets) {
-          try {
-            const value = await this.fetch1PasswordSecret(
-              `op://${vaultName}/${secret.item}/${secret.field}`,
-            );
-            await this.distributeToNeon(secret.projectId, secret.name, value);
-            results.neon.push({ secret: secret.name, status: "success" });
-          } catch (error) {
-            results.errors.push({
-              service: "neon",
-              secret: secret.name,
-              error: error.message,
-            });
-          }
+    return entries;
+  }
+
+  /**
+   * Inventory status of one mapping (see `secretInventory`)
+   */
+  async inventoryStatus(step, listing, itemNames, vaultName, contextConfig) {
+    if (!itemNames.has(step.item)) {
+      return {
+        status: "dangling",
+        detail: `1Password item '${step.item}' not found in ${vaultName}`,
+      };
+    }
+    if (!listing.ok) {
+      return { status: "error", detail: listing.error.message };
+    }
+    if (!listing.value.has(step.secret)) {
+      return { status: "missing", detail: "not set on the target" };
+    }
+
+    const state = (contextConfig.syncState || {})[
+      syncStateKey(step.service, step.target, step.secret)
+    ];
+    if (!state) {
+      return { status: "unverified", detail: "never synced from here" };
+    }
+    const value = await this.fetch1PasswordSecret(
+      `op://${vaultName}/${step.item}/${step.field}`,
+    );
+    if (hashSecret(value) !== state.hash) {
+      return { status: "stale", detail: "1Password has a newer value" };
+    }
+    const updatedAt = listing.value.get(step.secret);
+    if (
+      updatedAt &&
+      Date.parse(updatedAt) > Date.parse(state.syncedAt) + CLOCK_SKEW_MS
+    ) {
+      return { status: "stale", detail: "changed on target since last sync" };
+    }
+    return { status: "current", detail: `synced ${state.syncedAt}` };
+  }
+
+  /**
+   * Push one resolved secret to its target
+   */
+  async pushSecret(step, contextConfig) {
+    if (step.service === "cloudflare") {
+      return await this.distributeToCloudflare(
+        step.target,
+        step.secret,
+        step.value,
+        contextConfig.cloudflareAccountId,
+      );
+    }
+    if (step.service === "github") {
+      return await this.distributeToGitHub(
+        step.target,
+        step.secret,
+        step.value,
+      );
+    }
+    return await this.distributeToNeon(step.target, step.secret, step.value);
+  }
+
+  /**
+   * Find the value a target held before this sync
+   *
+   * Uses `previousValues` (keyed "item/field") when the caller knows it,
+   * otherwise the entry in the field's 1Password password history whose hash
+   * matches the one recorded when we last pushed to this target.
+   */
+  async previousValue(step, contextConfig, vaultName, options, items) {
+    const known = options.previousValues?.[`${step.item}/${step.field}`];
+    if (known !== undefined) {
+      return known;
+    }
+
+    const state = (contextConfig.syncState || {})[
+      syncStateKey(step.service, step.target, step.secret)
+    ];
+    if (!state) {
+      return undefined;
+    }
+    if (!items.has(step.item)) {
+      items.set(
+        step.item,
+        this.getItem(vaultName, step.item).catch(() => null),
+      );
+    }
+    const item = await items.get(step.item);
+    const history = item
+      ? findItemField(item, step.field)?.password_details?.history || []
+      : [];
+    return history.find((value) => hashSecret(value) === state.hash);
+  }
+
+  /**
+   * Roll back fields whose distribution partly failed
+   *
+   * Targets of a 1Password field form one transaction: when any of them
+   * fails, the previous value is pushed again to those this run changed.
+   * Updates `results` in place and returns one entry per rolled-back field
+   * with `status` "rolled-back", "partial" or "unavailable".
+   */
+  async rollBackFailures(steps, results, contextConfig, vaultName, options) {
+    const fields = new Map();
+    steps.forEach((step, index) => {
+      const key = `${step.item}/${step.field}`;
+      fields.set(key, [...(fields.get(key) || []), index]);
+    });
+
+    const items = new Map();
+    const rollbacks = [];
+    const tasks = [];
+    for (const indexes of fields.values()) {
+      const changed = indexes.filter((index) =>
+        Object.values(SYNC_STATUS).includes(results[index].status),
+      );
+      if (
+        changed.length === 0 ||
+        !indexes.some((index) => results[index].status === "failed")
+      ) {
+        continue;
+      }
+
+      const { item, field } = steps[indexes[0]];
+      const rollback = { item, field, targets: changed.length, restored: 0 };
+      rollbacks.push(rollback);
+
+      for (const index of changed) {
+        const previous = await this.previousValue(
+          steps[index],
+          contextConfig,
+          vaultName,
+          options,
+          items,
+        );
+        if (previous === undefined) {
+          results[index].rollbackError =
+            results[index].status === "created"
+              ? "created by this sync; left in place"
+              : "no previous value to restore";
+          continue;
         }
+        tasks.push({ index, previous, rollback });
       }
+    }
+
+    const outcomes = await runTasks(
+      tasks.map(({ index, previous }) => ({
+        group: steps[index].service,
+        run: () =>
+          this.pushSecret({ ...steps[index], value: previous }, contextConfig),
+      })),
+      poolOptions(options),
+    );
+    tasks.forEach(({ index, previous, rollback }, position) => {
+      const outcome = outcomes[position];
+      const result = results[index];
+      result.attempts += outcome.attempts;
+      result.durationMs += outcome.durationMs;
+      if (outcome.ok) {
+        // The target holds the previous value again
+        Object.assign(result, {
+          status: "rolled-back",
+          hash: hashSecret(previous),
+        });
+        rollback.restored++;
+      } else {
+        result.rollbackError = outcome.error.message;
+      }
+    });
+
+    for (const rollback of rollbacks) {
+      rollback.status =
+        rollback.restored === rollback.targets
+          ? "rolled-back"
+          : rollback.restored > 0
+            ? "partial"
+            : "unavailable";
+    }
+    return rollbacks;
+  }
+
+  /**
+   * Sync secrets from 1Password to all configured services
+   *
+   * Mappings are resolved and pushed in parallel, at most
+   * `concurrency[service]` at a time per service, and transient failures are
+   * retried with exponential backoff. Secrets unchanged since the last sync
+   * (per `syncState`) are skipped. Unless `rollback` is false, a field whose
+   * distribution partly fails is rolled back (see `rollBackFailures`).
+   *
+   * Returns `{ results, rollbacks, durationMs }` with one result per mapping
+   * (its service, target, secret, item and field): `status` is "created", "updated", "unchanged", "rolled-back" or "failed",
+   * alongside `attempts` and `durationMs` (and `hash` for targets whose value
+   * changed, for recording).
+   */
+  async syncSecretsToServices(contextConfig, vaultName, options = {}) {
+    const started = Date.now();
+
+    try {
+      const steps = await this.resolveSyncSteps(
+        contextConfig,
+        vaultName,
+        options,
+      );
+      const pending = steps.filter(
+        (step) => step.action === "create" || step.action === "update",
+      );
+      const outcomes = await runTasks(
+        pending.map((step) => ({
+          group: step.service,
+          run: () => this.pushSecret(step, contextConfig),
+        })),
+        poolOptions(options),
+      );
+
+      const results = steps.map(
+        ({ value, hash, action, reason, error, ...step }) => ({
+          ...step,
+          status: action === "error" ? "failed" : "unchanged",
+          ...(error && { error }),
+        }),
+      );
+      pending.forEach((step, index) => {
+        const outcome = outcomes[index];
+        Object.assign(results[steps.indexOf(step)], {
+          status: outcome.ok ? SYNC_STATUS[step.action] : "failed",
+          attempts: outcome.attempts,
+          durationMs: step.durationMs + outcome.durationMs,
+          ...(outcome.ok
+            ? { hash: step.hash }
+            : { error: outcome.error.message }),
+        });
+      });
 
-      return results;
+      const rollbacks =
+        options.rollback === false
+          ? []
+          : await this.rollBackFailures(
+              steps,
+              results,
+              contextConfig,
+              vaultName,
+              options,
+            );
+
+      return { results, rollbacks, durationMs: Date.now() - started };
     } catch (error) {
-      throw new Error(`Secret sync failed: ${error.message}`);
+      throw new Error(`Secret sync failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -195,10 +789,17 @@ export class SecretsManager {
    */
   async fetch1PasswordSecret(itemReference) {
     try {
-      const { stdout } = await execAsync(`op read "${itemReference}"`);
-      return stdout.trim();
+      // --no-newline keeps the value byte-for-byte (no trimming needed)
+      const { stdout } = await runCommand("op", [
+        "read",
+        "--no-newline",
+        itemReference,
+      ]);
+      return stdout;
     } catch (error) {
-      throw new Error(`Failed to fetch from 1Password: ${error.message}`);
+      throw new Error(`Failed to fetch from 1Password: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
@@ -207,10 +808,16 @@ export class SecretsManager {
    */
   async listVaults() {
     try {
-      const { stdout } = await execAsync("op vault list --format=json");
+      const { stdout } = await runCommand("op", [
+        "vault",
+        "list",
+        "--format=json",
+      ]);
       return JSON.parse(stdout);
     } catch (error) {
-      throw new Error(`Failed to list vaults: ${error.message}`);
+      throw new Error(`Failed to list vaults: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
@@ -219,12 +826,17 @@ export class SecretsManager {
    */
   async listVaultItems(vaultName) {
     try {
-      const { stdout } = await execAsync(
-        `op item list --vault="${vaultName}" --format=json`,
-      );
+      const { stdout } = await runCommand("op", [
+        "item",
+        "list",
+        `--vault=${vaultName}`,
+        "--format=json",
+      ]);
       return JSON.parse(stdout);
     } catch (error) {
-      throw new Error(`Failed to list vault items: ${error.message}`);
+      throw new Error(`Failed to list vault items: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
@@ -286,26 +898,94 @@ export class SecretsManager {
   }
 
   /**
-   * Rotate secret and distribute to all services
+   * Get a 1Password item, including field values and `updated_at`
    */
-  async rotateSecret(vaultName, itemName, newValue, distributionConfig) {
+  async getItem(vaultName, itemName) {
     try {
-      // Update secret in 1Password
-      await execAsync(
-        `op item edit "${itemName}" --vault="${vaultName}" password="${newValue}"`,
-      );
+      const { stdout } = await runCommand("op", [
+        "item",
+        "get",
+        itemName,
+        `--vault=${vaultName}`,
+        "--format=json",
+      ]);
+      return JSON.parse(stdout);
+    } catch (error) {
+      throw new Error(`Failed to get item ${itemName}: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Set one field of a 1Password item
+   *
+   * The edited item is piped back to `op item edit` as a template, so the
+   * value never appears in arguments.
+   */
+  async updateItemField(vaultName, itemName, fieldName, value) {
+    const item = await this.getItem(vaultName, itemName);
+    const fields = item.fields || [];
+    const field = findItemField(item, fieldName);
+    if (field) {
+      field.value = value;
+    } else {
+      fields.push({
+        id: fieldName,
+        label: fieldName,
+        type: "CONCEALED",
+        value,
+      });
+    }
+
+    await runCommand("op", ["item", "edit", itemName, `--vault=${vaultName}`], {
+      input: JSON.stringify({ ...item, fields }),
+    });
+  }
+
+  /**
+   * Rotate secret and distribute it to the services mapped to it
+   *
+   * `field` defaults to the item's password. Only mappings of that item
+   * field are synced; the rest of `distributionConfig` is left alone.
+   */
+  async rotateSecret(
+    vaultName,
+    itemName,
+    newValue,
+    distributionConfig,
+    { field = "password" } = {},
+  ) {
+    try {
+      const item = await this.getItem(vaultName, itemName);
+      const previous = findItemField(item, field)?.value;
+      await this.updateItemField(vaultName, itemName, field, newValue);
 
       console.log(`✅ Rotated secret: ${itemName} in vault ${vaultName}`);
 
-      // Distribute to configured services
+      // Distribute to configured services, rolling back to the old value
+      const rotated = (mappings) =>
+        (mappings || []).filter(
+          (mapping) =>
+            mapping.item === itemName &&
+            (mapping.field || "password") === field,
+        );
       const results = await this.syncSecretsToServices(
-        distributionConfig,
+        {
+          ...distributionConfig,
+          cloudflareSecrets: rotated(distributionConfig.cloudflareSecrets),
+          githubSecrets: rotated(distributionConfig.githubSecrets),
+          neonSecrets: rotated(distributionConfig.neonSecrets),
+        },
         vaultName,
+        { previousValues: { [`${itemName}/${field}`]: previous } },
       );
 
       return { rotated: true, distributed: results };
     } catch (error) {
-      throw new Error(`Failed to rotate secret: ${error.message}`);
+      throw new Error(`Failed to rotate secret: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 }
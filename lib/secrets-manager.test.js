@@ -0,0 +1,524 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  chmodSync,
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  hashSecret,
+  isTransientError,
+  SecretsManager,
+  validateSecretMapping,
+} from "./secrets-manager.js";
+import { runCommand } from "./run-command.js";
+
+// Fake op/wrangler/gh record each call (argv, stdin, account) in its own
+// directory under $FAKE_CLI_DIR/calls, then print canned output
+const FAKE_CLI = `#!/bin/sh
+call=$(mktemp -d "$FAKE_CLI_DIR/calls/$(basename "$0")-XXXXXX")
+for arg in "$@"; do printf '%s\\0' "$arg"; done > "$call/argv"
+printf '%s' "$CLOUDFLARE_ACCOUNT_ID" > "$call/account"
+cat > "$call/stdin"
+if [ -n "$FAKE_CLI_STDERR" ]; then echo "$FAKE_CLI_STDERR" >&2; exit 1; fi
+case "$(basename "$0") $1" in
+  "op read") cat "$FAKE_CLI_DIR/op-read" ;;
+  "op item")
+    [ "$2" = get ] && cat "$FAKE_CLI_DIR/op-item.json"
+    [ "$2" = list ] && cat "$FAKE_CLI_DIR/op-item-list.json" ;;
+  "wrangler secret") [ "$2" = list ] && echo '[]' ;;
+  "gh fail") echo "HTTP 502: Bad Gateway" >&2; exit 1 ;;
+esac
+exit 0
+`;
+
+let dir;
+let canary;
+let originalPath;
+
+// Values that break or execute when interpolated into shell strings
+const hostileValues = () => [
+  `it's "quoted" $HOME \`touch ${canary}\` $(touch ${canary}); rm -rf / #`,
+  "--help",
+  "line one\nline two\n",
+  "  padded with spaces  ",
+  "back\\slash ✓ ünïcode",
+];
+
+function calls(tool) {
+  return readdirSync(join(dir, "calls"))
+    .filter((name) => name.startsWith(`${tool}-`))
+    .map((name) => {
+      const path = join(dir, "calls", name);
+      return {
+        argv: readFileSync(join(path, "argv"), "utf8").split("\0").slice(0, -1),
+        stdin: readFileSync(join(path, "stdin"), "utf8"),
+        account: readFileSync(join(path, "account"), "utf8"),
+      };
+    });
+}
+
+function onlyCall(tool) {
+  const recorded = calls(tool);
+  assert.equal(recorded.length, 1, `expected one ${tool} call`);
+  return recorded[0];
+}
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), "chittycontext-secrets-"));
+  canary = join(dir, "canary");
+  mkdirSync(join(dir, "bin"));
+  for (const tool of ["op", "wrangler", "gh"]) {
+    writeFileSync(join(dir, "bin", tool), FAKE_CLI);
+    chmodSync(join(dir, "bin", tool), 0o755);
+  }
+  originalPath = process.env.PATH;
+  process.env.PATH = `${join(dir, "bin")}:${originalPath}`;
+  process.env.FAKE_CLI_DIR = dir;
+});
+
+after(() => {
+  process.env.PATH = originalPath;
+  delete process.env.FAKE_CLI_DIR;
+  rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  rmSync(join(dir, "calls"), { recursive: true, force: true });
+  mkdirSync(join(dir, "calls"));
+});
+
+describe("SecretsManager external commands", () => {
+  const secrets = new SecretsManager();
+
+  test("wrangler secret put receives the value on stdin", async () => {
+    for (const value of hostileValues()) {
+      rmSync(join(dir, "calls"), { recursive: true, force: true });
+      mkdirSync(join(dir, "calls"));
+
+      await secrets.distributeToCloudflare(
+        "my-worker",
+        "API_KEY",
+        value,
+        "acc123",
+      );
+
+      const call = onlyCall("wrangler");
+      assert.deepEqual(call.argv, [
+        "secret",
+        "put",
+        "API_KEY",
+        "--name",
+        "my-worker",
+      ]);
+      assert.equal(call.stdin, value);
+      assert.equal(call.account, "acc123");
+    }
+    assert.equal(existsSync(canary), false, "value was executed by a shell");
+  });
+
+  test("gh secret set receives the value on stdin", async () => {
+    for (const value of hostileValues()) {
+      rmSync(join(dir, "calls"), { recursive: true, force: true });
+      mkdirSync(join(dir, "calls"));
+
+      await secrets.distributeToGitHub("owner/repo", "TOKEN", value);
+
+      const call = onlyCall("gh");
+      assert.deepEqual(call.argv, [
+        "secret",
+        "set",
+        "TOKEN",
+        "--repo",
+        "owner/repo",
+      ]);
+      assert.equal(call.stdin, value);
+    }
+    assert.equal(existsSync(canary), false, "value was executed by a shell");
+  });
+
+  test("op item create receives fields as a template on stdin", async () => {
+    const [hostile, , multiline] = hostileValues();
+    const title = `my "item" $(touch ${canary})`;
+
+    await secrets.storeSecret("Vault 'A'", title, {
+      password: hostile,
+      note: multiline,
+    });
+
+    const call = onlyCall("op");
+    assert.deepEqual(call.argv, [
+      "item",
+      "create",
+      "--category=Password",
+      `--title=${title}`,
+      "--vault=Vault 'A'",
+    ]);
+    const { fields } = JSON.parse(call.stdin);
+    assert.deepEqual(
+      fields.map((field) => [field.id, field.value]),
+      [
+        ["password", hostile],
+        ["note", multiline],
+      ],
+    );
+    assert.equal(fields[0].purpose, "PASSWORD");
+    assert.ok(call.argv.every((arg) => !arg.includes(hostile)));
+    assert.equal(existsSync(canary), false, "value was executed by a shell");
+  });
+
+  test("Neon pushes edit the existing item instead of creating another", async () => {
+    writeFileSync(join(dir, "op-item-list.json"), "[]");
+    await secrets.distributeToNeon("proj", "DB_URL", "postgres://one");
+    assert.deepEqual(
+      calls("op")
+        .map((call) => call.argv.slice(0, 2).join(" "))
+        .sort(),
+      ["item create", "item list"],
+    );
+
+    rmSync(join(dir, "calls"), { recursive: true, force: true });
+    mkdirSync(join(dir, "calls"));
+    writeFileSync(
+      join(dir, "op-item-list.json"),
+      JSON.stringify([
+        { id: "other", title: "neon-proj-DB_URL_RO" },
+        { id: "abc", title: "neon-proj-DB_URL" },
+      ]),
+    );
+    writeFileSync(
+      join(dir, "op-item.json"),
+      JSON.stringify({
+        id: "abc",
+        title: "neon-proj-DB_URL",
+        fields: [{ id: "connection_string", value: "postgres://one" }],
+      }),
+    );
+    await secrets.distributeToNeon("proj", "DB_URL", "postgres://two");
+
+    const opCalls = calls("op");
+    assert.ok(opCalls.every((call) => call.argv[1] !== "create"));
+    const edit = opCalls.find((call) => call.argv[1] === "edit");
+    assert.deepEqual(edit.argv, ["item", "edit", "abc", "--vault=ChittyOS"]);
+    assert.equal(JSON.parse(edit.stdin).fields[0].value, "postgres://two");
+  });
+
+  test("op read values round-trip byte for byte", async () => {
+    for (const value of hostileValues()) {
+      writeFileSync(join(dir, "op-read"), value);
+      const reference = "op://Vault/item with spaces/password";
+
+      assert.equal(await secrets.fetch1PasswordSecret(reference), value);
+      assert.deepEqual(calls("op").at(-1).argv, [
+        "read",
+        "--no-newline",
+        reference,
+      ]);
+    }
+  });
+
+  test("rotateSecret pipes the new value to op item edit", async () => {
+    const [hostile] = hostileValues();
+    writeFileSync(
+      join(dir, "op-item.json"),
+      JSON.stringify({
+        id: "abc",
+        title: "api",
+        fields: [
+          { id: "username", label: "username", value: "me" },
+          { id: "password", purpose: "PASSWORD", value: "old" },
+        ],
+      }),
+    );
+
+    await secrets.rotateSecret("Vault", "api", hostile, {});
+
+    const opCalls = calls("op");
+    const get = opCalls.find((call) => call.argv[1] === "get");
+    const edit = opCalls.find((call) => call.argv[1] === "edit");
+    assert.deepEqual(get.argv, [
+      "item",
+      "get",
+      "api",
+      "--vault=Vault",
+      "--format=json",
+    ]);
+    assert.deepEqual(edit.argv, ["item", "edit", "api", "--vault=Vault"]);
+    const { fields } = JSON.parse(edit.stdin);
+    assert.equal(
+      fields.find((field) => field.id === "password").value,
+      hostile,
+    );
+    assert.equal(fields.find((field) => field.id === "username").value, "me");
+    assert.equal(existsSync(canary), false, "value was executed by a shell");
+  });
+});
+
+describe("SecretsManager rollback", () => {
+  const config = {
+    cloudflareSecrets: [
+      { name: "KEY", item: "api", field: "password", worker: "good" },
+      { name: "KEY", item: "api", field: "password", worker: "bad" },
+    ],
+    githubSecrets: [{ name: "KEY", item: "api", repo: "o/r" }],
+    syncState: {
+      "cloudflare:good:KEY": { hash: hashSecret("old") },
+      "github:o/r:KEY": { hash: hashSecret("old") },
+    },
+  };
+
+  // Every target needs "new"; pushes to the "bad" worker are rejected
+  function fakeManager(pushed) {
+    const manager = new SecretsManager();
+    manager.resolveSyncStep = async () => ({
+      action: "update",
+      reason: "value changed",
+      hash: hashSecret("new"),
+      value: "new",
+    });
+    manager.pushSecret = async (step) => {
+      if (step.target === "bad") {
+        throw new Error("Authentication error [code: 10000]");
+      }
+      pushed.push(`${step.target}=${step.value}`);
+    };
+    manager.getItem = async () => ({
+      fields: [
+        {
+          id: "password",
+          value: "new",
+          password_details: { history: ["older", "old"] },
+        },
+      ],
+    });
+    return manager;
+  }
+
+  test("re-pushes the previous value from 1Password history", async () => {
+    const pushed = [];
+    const { results, rollbacks } = await fakeManager(
+      pushed,
+    ).syncSecretsToServices(config, "Vault");
+
+    assert.deepEqual(
+      results.map((result) => [result.target, result.status]),
+      [
+        ["good", "rolled-back"],
+        ["bad", "failed"],
+        ["o/r", "rolled-back"],
+      ],
+    );
+    assert.equal(results[0].hash, hashSecret("old"));
+    assert.deepEqual(pushed.sort(), [
+      "good=new",
+      "good=old",
+      "o/r=new",
+      "o/r=old",
+    ]);
+    assert.deepEqual(rollbacks, [
+      {
+        item: "api",
+        field: "password",
+        targets: 2,
+        restored: 2,
+        status: "rolled-back",
+      },
+    ]);
+  });
+
+  test("prefers previousValues and can be turned off", async () => {
+    const pushed = [];
+    const manager = fakeManager(pushed);
+    await manager.syncSecretsToServices(config, "Vault", {
+      previousValues: { "api/password": "given" },
+    });
+    assert.ok(pushed.includes("good=given"));
+
+    const { results, rollbacks } = await manager.syncSecretsToServices(
+      config,
+      "Vault",
+      { rollback: false },
+    );
+    assert.deepEqual(
+      results.map((result) => result.status),
+      ["updated", "failed", "updated"],
+    );
+    assert.deepEqual(rollbacks, []);
+  });
+
+  test("rotateSecret syncs only the rotated item field", async () => {
+    const pushed = [];
+    const manager = fakeManager(pushed);
+    manager.updateItemField = async () => {};
+
+    await manager.rotateSecret(
+      "Vault",
+      "api",
+      "new",
+      {
+        ...config,
+        cloudflareSecrets: [
+          { name: "KEY", item: "api", field: "password", worker: "good" },
+          { name: "USER", item: "api", field: "username", worker: "good" },
+          { name: "DB", item: "db", worker: "good" },
+        ],
+        neonSecrets: [{ name: "DB", item: "db", projectId: "p" }],
+      },
+      { field: "password" },
+    );
+
+    assert.deepEqual(pushed.sort(), ["good=new", "o/r=new"]);
+  });
+});
+
+describe("SecretsManager inventory", () => {
+  test("flags missing, stale, unexpected and dangling mappings", async () => {
+    const manager = new SecretsManager();
+    manager.listVaultItems = async () => [{ id: "1", title: "api" }];
+    manager.listTargetSecrets = async (service, target) => {
+      if (target === "gone") {
+        throw new Error(`Cannot read ${service} target gone: not found`);
+      }
+      return new Map([
+        ["KEY", null],
+        ["OLD", null],
+      ]);
+    };
+    manager.fetch1PasswordSecret = async () => "new";
+
+    const entries = await manager.secretInventory(
+      {
+        cloudflareSecrets: [
+          { name: "KEY", item: "api", worker: "w1" },
+          { name: "KEY", item: "api", worker: "w2" },
+          { name: "OTHER", item: "api", worker: "w1" },
+          { name: "KEY", item: "deleted", worker: "w1" },
+          { name: "KEY", item: "api", worker: "gone" },
+        ],
+        syncState: {
+          "cloudflare:w1:KEY": { hash: hashSecret("new"), syncedAt: "" },
+          "cloudflare:w2:KEY": { hash: hashSecret("old"), syncedAt: "" },
+        },
+      },
+      "Vault",
+    );
+
+    assert.deepEqual(
+      entries.map((entry) => [entry.target, entry.secret, entry.status]),
+      [
+        ["w1", "KEY", "current"],
+        ["w2", "KEY", "stale"],
+        ["w1", "OTHER", "missing"],
+        ["w1", "KEY", "dangling"],
+        ["gone", "KEY", "error"],
+        ["w1", "OLD", "unexpected"],
+        ["w2", "OLD", "unexpected"],
+      ],
+    );
+  });
+});
+
+describe("isTransientError", () => {
+  const secrets = new SecretsManager();
+
+  // The failure listing `target`, with the tool printing `stderr`
+  async function listingFailure(target, stderr) {
+    process.env.FAKE_CLI_STDERR = stderr;
+    try {
+      await secrets.listTargetSecrets("cloudflare", target, "acc123");
+    } catch (error) {
+      return error;
+    } finally {
+      delete process.env.FAKE_CLI_STDERR;
+    }
+    assert.fail("listing did not fail");
+  }
+
+  test("judges the tool's output, not the target name", async () => {
+    const permanent = await listingFailure("api-500", "Worker not found");
+    assert.match(permanent.message, /api-500/);
+    assert.equal(isTransientError(permanent), false);
+
+    const transient = await listingFailure("api", "HTTP 503: unavailable");
+    assert.equal(isTransientError(transient), true);
+  });
+
+  test("looks through wrapped errors to their cause", () => {
+    const cause = Object.assign(new Error("read ECONNRESET"), { stderr: "" });
+    assert.equal(
+      isTransientError(new Error("Failed on api-404", { cause })),
+      true,
+    );
+    const rejected = Object.assign(new Error("gh secret set exited"), {
+      stderr: "HTTP 422: Validation Failed",
+    });
+    assert.equal(
+      isTransientError(new Error("Failed on api-503", { cause: rejected })),
+      false,
+    );
+  });
+});
+
+describe("validateSecretMapping", () => {
+  test("requires the service's target, a secret name and an item", () => {
+    const mapping = { name: "API_KEY", item: "api", worker: "w" };
+    validateSecretMapping("cloudflare", mapping);
+
+    assert.throws(
+      () => validateSecretMapping("cloudflare", { ...mapping, worker: "" }),
+      /needs a worker \(--worker\)/,
+    );
+    assert.throws(
+      () => validateSecretMapping("github", { ...mapping, repo: "norepo" }),
+      /Invalid repo 'norepo'/,
+    );
+    assert.throws(
+      () => validateSecretMapping("neon", mapping),
+      /needs a projectId \(--project\)/,
+    );
+    assert.throws(
+      () => validateSecretMapping("cloudflare", { ...mapping, item: "" }),
+      /--vault-item/,
+    );
+    assert.throws(
+      () => validateSecretMapping("cloudflare", { ...mapping, name: "A-B" }),
+      /Invalid secret name/,
+    );
+    assert.throws(
+      () => validateSecretMapping("vercel", mapping),
+      /Unknown service 'vercel'/,
+    );
+  });
+});
+
+describe("runCommand", () => {
+  test("rejects with stderr, exit code and no stdin in the message", async () => {
+    await assert.rejects(
+      runCommand("gh", ["fail", "now"], { input: "s3cret-value" }),
+      (error) => {
+        assert.equal(error.code, 1);
+        assert.match(
+          error.message,
+          /^gh fail now exited with code 1: HTTP 502/,
+        );
+        assert.doesNotMatch(error.message, /s3cret-value/);
+        assert.match(error.stderr, /Bad Gateway/);
+        return true;
+      },
+    );
+  });
+
+  test("reports a missing executable", async () => {
+    await assert.rejects(
+      runCommand("chittycontext-no-such-tool"),
+      /chittycontext-no-such-tool not found on PATH/,
+    );
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Shell Hook - Prompt hooks that load directory contexts on `cd`
+ */
+
+import { exportLine, unsetLine } from "./formatters.js";
+
+export const SUPPORTED_SHELLS = ["bash", "zsh", "fish"];
+
+const HOOKS = {
+  bash: `_chittycontext_hook() {
+  local previous_exit_status=$?
+  eval "$(chittycontext hook-env --shell bash)"
+  return $previous_exit_status
+}
+if [[ ";\${PROMPT_COMMAND:-};" != *";_chittycontext_hook;"* ]]; then
+  PROMPT_COMMAND="_chittycontext_hook\${PROMPT_COMMAND:+;$PROMPT_COMMAND}"
+fi`,
+
+  zsh: `_chittycontext_hook() {
+  eval "$(chittycontext hook-env --shell zsh)"
+}
+typeset -ag precmd_functions chpwd_functions
+if (( ! \${precmd_functions[(I)_chittycontext_hook]} )); then
+  precmd_functions=(_chittycontext_hook $precmd_functions)
+fi
+if (( ! \${chpwd_functions[(I)_chittycontext_hook]} )); then
+  chpwd_functions=(_chittycontext_hook $chpwd_functions)
+fi`,
+
+  fish: `function __chittycontext_hook --on-event fish_prompt
+  chittycontext hook-env --shell fish | source
+end`,
+};
+
+/**
+ * Generate the prompt hook for a shell
+ */
+export function generateHook(shell) {
+  if (!HOOKS[shell]) {
+    throw new Error(
+      `Unsupported shell '${shell}' (use ${SUPPORTED_SHELLS.join(", ")})`,
+    );
+  }
+  return HOOKS[shell];
+}
+
+/**
+ * Generate the statements a hook evaluates when the directory context changes
+ *
+ * `previousKeys` are the variables exported by the last hook run; they are
+ * unset before the new context's variables are exported. `state` identifies
+ * the context file (path and mtime) so unchanged prompts produce no output.
+ */
+export function generateHookEnv(shell, { state, envVars, previousKeys = [] }) {
+  const lines = previousKeys.map((key) => unsetLine(shell, key));
+
+  if (state) {
+    const keys = Object.keys(envVars);
+    for (const [key, value] of Object.entries(envVars)) {
+      lines.push(exportLine(shell, key, value));
+    }
+    lines.push(exportLine(shell, "CHITTYCONTEXT_HOOK_KEYS", keys.join(":")));
+    lines.push(exportLine(shell, "CHITTYCONTEXT_HOOK_STATE", state));
+  } else {
+    lines.push(unsetLine(shell, "CHITTYCONTEXT_HOOK_KEYS"));
+    lines.push(unsetLine(shell, "CHITTYCONTEXT_HOOK_STATE"));
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,84 @@
+/**
+ * Task Pool - Run async tasks with per-group concurrency limits and retries
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Delay before retry `attempt` (1-based): doubles each time, with jitter
+ */
+export function backoffDelay(
+  attempt,
+  { baseDelay = 500, maxDelay = 8000 } = {},
+) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+}
+
+/**
+ * Run tasks, at most `limits[group]` (or `defaultLimit`) at a time per group
+ *
+ * Each task is `{ group, run }`; `run(attempt)` is retried up to `retries`
+ * times when `isRetryable(error)` says the failure is transient. Resolves
+ * with one outcome per task, in task order, and never rejects:
+ * `{ ok, value | error, attempts, durationMs }`.
+ */
+export async function runTasks(
+  tasks,
+  {
+    limits = {},
+    defaultLimit = 4,
+    retries = 3,
+    baseDelay = 500,
+    maxDelay = 8000,
+    isRetryable = () => true,
+    wait = sleep,
+  } = {},
+) {
+  const outcomes = new Array(tasks.length);
+  const queues = new Map();
+  tasks.forEach((task, index) => {
+    if (!queues.has(task.group)) {
+      queues.set(task.group, []);
+    }
+    queues.get(task.group).push(index);
+  });
+
+  const runOne = async (task) => {
+    const started = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const value = await task.run(attempt);
+        return {
+          ok: true,
+          value,
+          attempts: attempt,
+          durationMs: Date.now() - started,
+        };
+      } catch (error) {
+        if (attempt > retries || !isRetryable(error)) {
+          return {
+            ok: false,
+            error,
+            attempts: attempt,
+            durationMs: Date.now() - started,
+          };
+        }
+        await wait(backoffDelay(attempt, { baseDelay, maxDelay }));
+      }
+    }
+  };
+
+  const workers = [...queues].flatMap(([group, queue]) => {
+    const limit = Math.max(1, limits[group] ?? defaultLimit);
+    return Array.from({ length: Math.min(limit, queue.length) }, async () => {
+      while (queue.length > 0) {
+        const index = queue.shift();
+        outcomes[index] = await runOne(tasks[index]);
+      }
+    });
+  });
+
+  await Promise.all(workers);
+  return outcomes;
+}
@@ -0,0 +1,112 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { backoffDelay, runTasks } from "./task-pool.js";
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+const noWait = async () => {};
+
+describe("runTasks", () => {
+  test("keeps each group within its concurrency limit", async () => {
+    const running = { a: 0, b: 0 };
+    const peak = { a: 0, b: 0 };
+    const task = (group, value) => ({
+      group,
+      run: async () => {
+        running[group]++;
+        peak[group] = Math.max(peak[group], running[group]);
+        await tick();
+        await tick();
+        running[group]--;
+        return value;
+      },
+    });
+
+    const tasks = [
+      ...Array.from({ length: 6 }, (_, i) => task("a", `a${i}`)),
+      ...Array.from({ length: 5 }, (_, i) => task("b", `b${i}`)),
+    ];
+    const outcomes = await runTasks(tasks, {
+      limits: { a: 2 },
+      defaultLimit: 3,
+    });
+
+    assert.deepEqual(peak, { a: 2, b: 3 });
+    assert.deepEqual(
+      outcomes.map((outcome) => outcome.value),
+      tasks.map((_, i) => (i < 6 ? `a${i}` : `b${i - 6}`)),
+    );
+    assert.ok(outcomes.every((outcome) => outcome.ok));
+  });
+
+  test("retries transient failures up to the retry limit", async () => {
+    const delays = [];
+    let attempts = 0;
+    const [outcome] = await runTasks(
+      [
+        {
+          group: "a",
+          run: async (attempt) => {
+            attempts = attempt;
+            throw new Error("HTTP 502");
+          },
+        },
+      ],
+      {
+        retries: 2,
+        baseDelay: 100,
+        wait: async (ms) => delays.push(ms),
+      },
+    );
+
+    assert.equal(attempts, 3);
+    assert.equal(outcome.ok, false);
+    assert.equal(outcome.attempts, 3);
+    assert.match(outcome.error.message, /HTTP 502/);
+    assert.equal(delays.length, 2);
+    assert.ok(delays[0] >= 50 && delays[0] <= 100);
+    assert.ok(delays[1] >= 100 && delays[1] <= 200);
+  });
+
+  test("stops at the first non-retryable failure and recovers from transient ones", async () => {
+    const outcomes = await runTasks(
+      [
+        {
+          group: "a",
+          run: async () => {
+            throw new Error("Authentication error");
+          },
+        },
+        {
+          group: "a",
+          run: async (attempt) => {
+            if (attempt < 3) throw new Error("timeout");
+            return "done";
+          },
+        },
+      ],
+      {
+        isRetryable: (error) => error.message === "timeout",
+        wait: noWait,
+      },
+    );
+
+    assert.deepEqual(
+      outcomes.map(({ ok, attempts, value }) => ({ ok, attempts, value })),
+      [
+        { ok: false, attempts: 1, value: undefined },
+        { ok: true, attempts: 3, value: "done" },
+      ],
+    );
+  });
+});
+
+describe("backoffDelay", () => {
+  test("doubles per attempt, with jitter, up to the cap", () => {
+    for (let i = 0; i < 20; i++) {
+      const delay = backoffDelay(3, { baseDelay: 100, maxDelay: 1000 });
+      assert.ok(delay >= 200 && delay <= 400);
+      const capped = backoffDelay(10, { baseDelay: 100, maxDelay: 1000 });
+      assert.ok(capped >= 500 && capped <= 1000);
+    }
+  });
+});
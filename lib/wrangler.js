@@ -0,0 +1,465 @@
+/**
+ * Wrangler - Write context settings into a Workers project
+ *
+ * Settings go into a managed block delimited by marker comments, so the rest
+ * of `wrangler.toml` and `.dev.vars` is left untouched and re-running sync
+ * replaces only what it wrote before.
+ */
+
+import { chmodSync, existsSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { parse as parseDotenv } from "dotenv";
+import { exportLine } from "./formatters.js";
+
+export const WRANGLER_FILE = "wrangler.toml";
+export const DEV_VARS_FILE = ".dev.vars";
+
+export const DEFAULT_CONSUMER = { max_batch_size: 10, max_batch_timeout: 30 };
+
+// Numeric consumer settings and the ranges Cloudflare Queues accepts
+export const CONSUMER_LIMITS = {
+  max_batch_size: [1, 100],
+  max_batch_timeout: [0, 60],
+  max_retries: [0, 100],
+  max_concurrency: [1, 250],
+};
+
+/**
+ * Validate a numeric consumer setting and return it as a number
+ */
+export function parseConsumerSetting(field, value) {
+  if (!CONSUMER_LIMITS[field]) {
+    throw new Error(
+      `Unknown consumer setting '${field}' (use ${[...Object.keys(CONSUMER_LIMITS), "dead_letter_queue"].join(", ")})`,
+    );
+  }
+
+  const [min, max] = CONSUMER_LIMITS[field];
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${field} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Blocks are identified by scope: none for the top-level block written by
+// `wrangler sync`, "env.<name>" for environments, "queues" for queue-only
+// bindings written by `queues bindings --write`
+const QUEUES_SCOPE = "queues";
+
+function markers(scope) {
+  const label = scope ? ` [${scope}]` : "";
+  return {
+    start: `# >>> chittycontext${label} (managed, do not edit) >>>`,
+    end: `# <<< chittycontext${label} <<<`,
+  };
+}
+
+/**
+ * Format a TOML basic string
+ */
+export function tomlString(value) {
+  return JSON.stringify(String(value)).replace(/\x7f/g, "\\u007f");
+}
+
+function tomlKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : tomlString(key);
+}
+
+/**
+ * Render a TOML table (or array-of-tables entry) from plain values
+ */
+export function tomlTable(header, values, { array = false } = {}) {
+  const lines = [array ? `[[${header}]]` : `[${header}]`];
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    lines.push(
+      `${tomlKey(key)} = ${typeof value === "string" ? tomlString(value) : value}`,
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Render the managed wrangler.toml settings for a context
+ */
+export function renderWranglerBlock({
+  accountId,
+  vars = {},
+  secrets = [],
+  queues = [],
+  env,
+}) {
+  const prefix = env ? `env.${env}.` : "";
+  const sections = [];
+
+  if (env) {
+    sections.push(tomlTable(`env.${env}`, { account_id: accountId }));
+  } else if (accountId) {
+    sections.push(`account_id = ${tomlString(accountId)}`);
+  }
+
+  if (Object.keys(vars).length > 0) {
+    sections.push(tomlTable(`${prefix}vars`, vars));
+  }
+
+  if (queues.length > 0) {
+    sections.push(renderQueueTables(queues, prefix));
+  }
+
+  if (secrets.length > 0) {
+    sections.push(
+      [
+        `# Secrets (local values in ${env ? `${DEV_VARS_FILE}.${env}` : DEV_VARS_FILE}; deploy with 'wrangler secret put'):`,
+        ...secrets.map((name) => `#   ${name}`),
+      ].join("\n"),
+    );
+  }
+
+  return sections.join("\n\n");
+}
+
+/**
+ * Render a producer table per queue binding, and a consumer table for each
+ * queue the Worker consumes (`consume: true`)
+ */
+export function renderQueueTables(queues, prefix = "") {
+  return [
+    ...queues.map((queue) =>
+      tomlTable(
+        `${prefix}queues.producers`,
+        { binding: queue.binding, queue: queue.queue },
+        { array: true },
+      ),
+    ),
+    ...queues
+      .filter((queue) => queue.consume)
+      .map((queue) =>
+        tomlTable(
+          `${prefix}queues.consumers`,
+          { queue: queue.queue, ...DEFAULT_CONSUMER, ...queue.consumer },
+          { array: true },
+        ),
+      ),
+  ].join("\n\n");
+}
+
+/**
+ * Render the managed .dev.vars entries
+ */
+export function renderDevVars(secrets) {
+  return Object.entries(secrets)
+    .map(([key, value]) => exportLine("dotenv", key, value))
+    .join("\n");
+}
+
+function findBlock(lines, scope) {
+  const { start, end } = markers(scope);
+  const startIndex = lines.indexOf(start);
+  if (startIndex === -1) {
+    return null;
+  }
+  const endIndex = lines.indexOf(end, startIndex);
+  if (endIndex === -1) {
+    throw new Error(`Unterminated chittycontext block (missing '${end}')`);
+  }
+  return { startIndex, endIndex };
+}
+
+/**
+ * Check that unmanaged TOML content does not define what the block defines
+ */
+function checkTomlConflicts(lines, scope) {
+  const tables = new Set();
+  let inRoot = true;
+
+  for (const line of lines) {
+    const header = line.match(/^\s*\[([^[\]]+)\]\s*(#.*)?$/);
+    if (header) {
+      tables.add(header[1].trim());
+      inRoot = false;
+    } else if (/^\s*\[\[/.test(line)) {
+      inRoot = false;
+    } else if (inRoot && !scope && /^\s*account_id\s*=/.test(line)) {
+      throw new Error(
+        `${WRANGLER_FILE} already sets account_id; remove it so chittycontext can manage it`,
+      );
+    }
+  }
+
+  const managed = !scope
+    ? ["vars"]
+    : scope === QUEUES_SCOPE
+      ? []
+      : [scope, `${scope}.vars`];
+  const conflict = managed.find((table) => tables.has(table));
+  if (conflict) {
+    throw new Error(
+      `${WRANGLER_FILE} already defines [${conflict}]; move its entries into ctx vars or remove it`,
+    );
+  }
+}
+
+/**
+ * Insert or replace the managed block in a file's content
+ *
+ * A new top-level TOML block goes before the first table header, so its
+ * root keys (account_id) stay at the root and existing root keys are not
+ * swallowed by the block's tables. Environment blocks hold only tables and,
+ * like blocks in other files, are appended.
+ */
+export function replaceManagedBlock(
+  content,
+  body,
+  { scope, toml = false } = {},
+) {
+  const { start, end } = markers(scope);
+  const lines = content === "" ? [] : content.replace(/\n$/, "").split("\n");
+  const block = [start, ...(body ? body.split("\n") : []), end];
+  const existing = findBlock(lines, scope);
+
+  if (existing) {
+    const outside = [
+      ...lines.slice(0, existing.startIndex),
+      ...lines.slice(existing.endIndex + 1),
+    ];
+    if (toml) {
+      checkTomlConflicts(outside, scope);
+    }
+    lines.splice(
+      existing.startIndex,
+      existing.endIndex - existing.startIndex + 1,
+      ...block,
+    );
+    return `${lines.join("\n")}\n`;
+  }
+
+  if (toml) {
+    checkTomlConflicts(lines, scope);
+  }
+
+  let index =
+    toml && !scope
+      ? lines.findIndex(
+          (line) =>
+            /^\s*\[/.test(line) || line.startsWith("# >>> chittycontext"),
+        )
+      : -1;
+  if (index === -1) {
+    index = lines.length;
+  }
+
+  const before = lines.slice(0, index);
+  const after = lines.slice(index);
+  const padded = [
+    ...before,
+    ...(before.length > 0 && before[before.length - 1].trim() !== ""
+      ? [""]
+      : []),
+    ...block,
+    ...(after.length > 0 ? [""] : []),
+    ...after,
+  ];
+  return `${padded.join("\n")}\n`;
+}
+
+/**
+ * Compute a line diff as unified-style hunks
+ */
+export function diffLines(before, after, contextLines = 2) {
+  const a = before === "" ? [] : before.replace(/\n$/, "").split("\n");
+  const b = after === "" ? [] : after.replace(/\n$/, "").split("\n");
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: " ", line: a[i] });
+      i++;
+      j++;
+    } else if (
+      i < a.length &&
+      (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      ops.push({ type: "-", line: a[i] });
+      i++;
+    } else {
+      ops.push({ type: "+", line: b[j] });
+      j++;
+    }
+  }
+
+  // Keep changed lines plus a little surrounding context
+  const keep = ops.map(() => false);
+  ops.forEach((op, index) => {
+    if (op.type !== " ") {
+      for (
+        let k = Math.max(0, index - contextLines);
+        k <= Math.min(ops.length - 1, index + contextLines);
+        k++
+      ) {
+        keep[k] = true;
+      }
+    }
+  });
+
+  const lines = [];
+  ops.forEach((op, index) => {
+    if (keep[index]) {
+      if (index > 0 && !keep[index - 1]) {
+        lines.push({ type: "@", line: "@@" });
+      }
+      lines.push(op);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Compare the entries of two .dev.vars contents by key
+ *
+ * Returns `{ type, key }` per removed ("-") or added ("+") entry; a changed
+ * value is both. Values are parsed (multi-line ones included) but never
+ * returned, so a preview can show what changes without leaking secrets.
+ */
+export function diffDevVars(before, after) {
+  const a = parseDotenv(before);
+  const b = parseDotenv(after);
+  return [
+    ...Object.keys(a)
+      .filter((key) => a[key] !== b[key])
+      .map((key) => ({ type: "-", key })),
+    ...Object.keys(b)
+      .filter((key) => a[key] !== b[key])
+      .map((key) => ({ type: "+", key })),
+  ];
+}
+
+/**
+ * Remove a managed block from a file's content, if present
+ */
+export function removeManagedBlock(content, scope) {
+  const lines = content === "" ? [] : content.replace(/\n$/, "").split("\n");
+  const existing = findBlock(lines, scope);
+  if (!existing) {
+    return content;
+  }
+
+  // Drop the blank line that separated the block from the following content
+  const end =
+    lines[existing.endIndex + 1]?.trim() === ""
+      ? existing.endIndex + 1
+      : existing.endIndex;
+  lines.splice(existing.startIndex, end - existing.startIndex + 1);
+  return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
+
+function updateFile(path, transform, { secret = false, dryRun = false }) {
+  const before = existsSync(path) ? readFileSync(path, "utf8") : "";
+  const after = transform(before);
+  const changed = before !== after;
+
+  if (changed && !dryRun) {
+    writeFileSync(path, after, secret ? { mode: 0o600 } : undefined);
+    if (secret) {
+      chmodSync(path, 0o600);
+    }
+  }
+
+  return { path, secret, before, after, changed };
+}
+
+/**
+ * Write (or preview) the managed blocks in a project's wrangler.toml and
+ * .dev.vars
+ *
+ * Returns one entry per file with its previous and new content.
+ */
+export function syncWranglerProject(
+  dir,
+  { accountId, vars, secrets, queues },
+  { env, dryRun = false } = {},
+) {
+  if (env && !/^[A-Za-z0-9_-]+$/.test(env)) {
+    throw new Error(`Invalid environment name '${env}'`);
+  }
+
+  const tomlPath = join(dir, WRANGLER_FILE);
+  if (!existsSync(tomlPath)) {
+    throw new Error(`No ${WRANGLER_FILE} found in ${dir}`);
+  }
+
+  const scope = env ? `env.${env}` : undefined;
+  const tomlBody = renderWranglerBlock({
+    accountId,
+    vars,
+    secrets: Object.keys(secrets),
+    queues,
+    env,
+  });
+  const devVarsPath = join(
+    dir,
+    env ? `${DEV_VARS_FILE}.${env}` : DEV_VARS_FILE,
+  );
+
+  return [
+    updateFile(
+      tomlPath,
+      (content) => {
+        // The top-level block includes the queues, replacing a queue-only block
+        const base = scope
+          ? content
+          : removeManagedBlock(content, QUEUES_SCOPE);
+        return replaceManagedBlock(base, tomlBody, { scope, toml: true });
+      },
+      { dryRun },
+    ),
+    updateFile(
+      devVarsPath,
+      (content) =>
+        replaceManagedBlock(content, renderDevVars(secrets), { scope }),
+      { secret: true, dryRun },
+    ),
+  ];
+}
+
+/**
+ * Merge queue producer and consumer tables into a wrangler.toml file
+ */
+export function writeQueueBindings(path, queues, { dryRun = false } = {}) {
+  if (!existsSync(path)) {
+    throw new Error(`${path} not found`);
+  }
+
+  return updateFile(
+    path,
+    (content) => {
+      if (findBlock(content.split("\n"))) {
+        throw new Error(
+          `${path} is managed by 'ctx wrangler sync', which already writes queue bindings`,
+        );
+      }
+      return replaceManagedBlock(content, renderQueueTables(queues), {
+        scope: QUEUES_SCOPE,
+        toml: true,
+      });
+    },
+    { dryRun },
+  );
+}
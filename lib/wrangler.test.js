@@ -0,0 +1,152 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  diffDevVars,
+  diffLines,
+  removeManagedBlock,
+  renderDevVars,
+  renderQueueTables,
+  replaceManagedBlock,
+} from "./wrangler.js";
+
+const START = "# >>> chittycontext (managed, do not edit) >>>";
+const END = "# <<< chittycontext <<<";
+
+describe("replaceManagedBlock", () => {
+  const project =
+    'name = "api"\nmain = "src/index.js"\n\n[build]\ncommand = "npm run build"\n';
+
+  test("inserts a new top-level block before the first table", () => {
+    const result = replaceManagedBlock(project, 'account_id = "abc"', {
+      toml: true,
+    });
+    assert.equal(
+      result,
+      `name = "api"\nmain = "src/index.js"\n\n${START}\naccount_id = "abc"\n${END}\n\n[build]\ncommand = "npm run build"\n`,
+    );
+  });
+
+  test("replaces only the block and leaves the rest alone", () => {
+    const first = replaceManagedBlock(project, 'account_id = "abc"', {
+      toml: true,
+    });
+    const second = replaceManagedBlock(first, 'account_id = "def"', {
+      toml: true,
+    });
+    assert.equal(second, first.replace('"abc"', '"def"'));
+    assert.equal(
+      replaceManagedBlock(second, 'account_id = "def"', { toml: true }),
+      second,
+    );
+    assert.equal(removeManagedBlock(second), project);
+  });
+
+  test("appends environment blocks after the existing content", () => {
+    const result = replaceManagedBlock(project, "[env.staging]", {
+      scope: "env.staging",
+      toml: true,
+    });
+    assert.ok(
+      result.endsWith(
+        '[build]\ncommand = "npm run build"\n\n# >>> chittycontext [env.staging] (managed, do not edit) >>>\n[env.staging]\n# <<< chittycontext [env.staging] <<<\n',
+      ),
+    );
+  });
+
+  test("refuses settings the file already defines outside the block", () => {
+    assert.throws(
+      () => replaceManagedBlock('account_id = "mine"\n', "", { toml: true }),
+      /already sets account_id/,
+    );
+    assert.throws(
+      () =>
+        replaceManagedBlock(`${project}\n[vars]\nA = "1"\n`, "[vars]", {
+          toml: true,
+        }),
+      /already defines \[vars\]/,
+    );
+    assert.throws(
+      () =>
+        replaceManagedBlock('[env.prod]\nroute = "x"\n', "", {
+          scope: "env.prod",
+          toml: true,
+        }),
+      /already defines \[env\.prod\]/,
+    );
+    assert.throws(
+      () => replaceManagedBlock(`${START}\nA=1\n`, "A=2"),
+      /Unterminated chittycontext block/,
+    );
+  });
+});
+
+describe("diffLines", () => {
+  test("reports changes with context and hunk breaks", () => {
+    const before = ["a", "b", "c", "d", "e", "f", "g", "h"].join("\n");
+    const after = ["a", "B", "c", "d", "e", "f", "g", "h", "i"].join("\n");
+    assert.deepEqual(diffLines(before, after, 1), [
+      { type: " ", line: "a" },
+      { type: "-", line: "b" },
+      { type: "+", line: "B" },
+      { type: " ", line: "c" },
+      { type: "@", line: "@@" },
+      { type: " ", line: "h" },
+      { type: "+", line: "i" },
+    ]);
+  });
+
+  test("is empty when nothing changed and handles empty files", () => {
+    assert.deepEqual(diffLines("a\nb\n", "a\nb\n"), []);
+    assert.deepEqual(diffLines("", "a\n"), [{ type: "+", line: "a" }]);
+  });
+});
+
+describe("diffDevVars", () => {
+  test("reports changed keys without any part of a multi-line value", () => {
+    const pem = "-----BEGIN KEY-----\nSUPERSECRETLINE\n-----END KEY-----";
+    const before = replaceManagedBlock(
+      "",
+      renderDevVars({ KEEP: "same", OLD: "gone", PEM: "old" }),
+    );
+    const after = replaceManagedBlock(
+      before,
+      renderDevVars({ KEEP: "same", PEM: pem, NEW: "x y" }),
+    );
+    assert.match(after, /SUPERSECRETLINE/);
+
+    const changes = diffDevVars(before, after);
+    assert.deepEqual(changes, [
+      { type: "-", key: "OLD" },
+      { type: "-", key: "PEM" },
+      { type: "+", key: "PEM" },
+      { type: "+", key: "NEW" },
+    ]);
+    assert.doesNotMatch(JSON.stringify(changes), /SECRET|END KEY|gone/);
+    assert.deepEqual(diffDevVars(after, after), []);
+  });
+});
+
+describe("renderQueueTables", () => {
+  const queues = [
+    { binding: "EVENTS", queue: "app-events-prod", consume: true },
+    {
+      binding: "EVENTS_DLQ",
+      queue: "app-events-dlq-prod",
+      consumer: { max_retries: 3 },
+    },
+  ];
+
+  test("writes producers for every queue and consumers only on opt-in", () => {
+    const toml = renderQueueTables(queues, "env.prod.");
+    assert.equal(toml.match(/\[\[env\.prod\.queues\.producers\]\]/g).length, 2);
+    assert.equal(toml.match(/\[\[env\.prod\.queues\.consumers\]\]/g).length, 1);
+    assert.match(
+      toml,
+      /\[\[env\.prod\.queues\.consumers\]\]\nqueue = "app-events-prod"\nmax_batch_size = 10\nmax_batch_timeout = 30$/,
+    );
+    assert.doesNotMatch(
+      renderQueueTables(queues.map(({ consume, ...queue }) => queue)),
+      /consumers/,
+    );
+  });
+});
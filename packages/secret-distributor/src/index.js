@@ -0,0 +1,296 @@
+/**
+ * Secret Distributor - Queue consumer for ChittyContext distribution jobs
+ *
+ * Reads each secret from the context's 1Password vault through 1Password
+ * Connect, pushes it to its Cloudflare Worker or GitHub repository, and
+ * records the job's progress in the JOBS KV namespace for
+ * `chittycontext secrets status`.
+ *
+ * Bindings: JOBS (KV), CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN,
+ * GITHUB_TOKEN, OP_CONNECT_HOST, OP_CONNECT_TOKEN.
+ */
+
+import sodium from "libsodium-wrappers";
+import {
+  MESSAGE_SCHEMAS,
+  jobStatusKey,
+  validateMessage,
+} from "@chittyos/chittycontext-client/queue-messages";
+
+const CLOUDFLARE_API_URL = "https://api.cloudflare.com/client/v4";
+const GITHUB_API_URL = "https://api.github.com";
+
+// Job statuses are kept for 30 days
+const JOB_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+async function requestJson(url, { method = "GET", headers = {}, body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Accept: "application/json",
+      ...headers,
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  // Some endpoints (e.g. GitHub's secret PUT) answer with an empty body
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(
+      `${method} ${new URL(url).pathname} failed: ${response.status}${text ? ` ${text.slice(0, 200)}` : ""}`,
+    );
+  }
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Read item fields from a 1Password vault through 1Password Connect
+ */
+export class ConnectVault {
+  constructor(env, vaultName) {
+    if (!env.OP_CONNECT_HOST || !env.OP_CONNECT_TOKEN) {
+      throw new Error("OP_CONNECT_HOST and OP_CONNECT_TOKEN are required");
+    }
+    this.host = env.OP_CONNECT_HOST.replace(/\/$/, "");
+    this.headers = { Authorization: `Bearer ${env.OP_CONNECT_TOKEN}` };
+    this.vaultName = vaultName;
+    this.items = new Map();
+  }
+
+  async get(path) {
+    return await requestJson(`${this.host}/v1${path}`, {
+      headers: this.headers,
+    });
+  }
+
+  async vaultId() {
+    if (!this.id) {
+      const filter = encodeURIComponent(`name eq "${this.vaultName}"`);
+      const [vault] = await this.get(`/vaults?filter=${filter}`);
+      if (!vault) {
+        throw new Error(`Vault '${this.vaultName}' not found`);
+      }
+      this.id = vault.id;
+    }
+    return this.id;
+  }
+
+  async item(title) {
+    if (!this.items.has(title)) {
+      const vaultId = await this.vaultId();
+      const filter = encodeURIComponent(`title eq "${title}"`);
+      const [summary] = await this.get(
+        `/vaults/${vaultId}/items?filter=${filter}`,
+      );
+      if (!summary) {
+        throw new Error(`Item '${title}' not found in ${this.vaultName}`);
+      }
+      this.items.set(
+        title,
+        await this.get(`/vaults/${vaultId}/items/${summary.id}`),
+      );
+    }
+    return this.items.get(title);
+  }
+
+  /**
+   * Read a field by label, ID or purpose (e.g. "password")
+   */
+  async read(title, fieldName = "password") {
+    const item = await this.item(title);
+    const field = (item.fields || []).find(
+      (candidate) =>
+        candidate.label === fieldName ||
+        candidate.id === fieldName ||
+        candidate.purpose?.toLowerCase() === fieldName.toLowerCase(),
+    );
+    if (field?.value === undefined) {
+      throw new Error(`Field '${fieldName}' not found in item '${title}'`);
+    }
+    return field.value;
+  }
+}
+
+/**
+ * Set a Worker secret through the Cloudflare API
+ */
+async function putCloudflareSecret(env, worker, name, value) {
+  if (!env.CLOUDFLARE_ACCOUNT_ID || !env.CLOUDFLARE_API_TOKEN) {
+    throw new Error(
+      "CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN are required",
+    );
+  }
+  await requestJson(
+    `${CLOUDFLARE_API_URL}/accounts/${env.CLOUDFLARE_ACCOUNT_ID}/workers/scripts/${worker}/secrets`,
+    {
+      method: "PUT",
+      headers: { Authorization: `Bearer ${env.CLOUDFLARE_API_TOKEN}` },
+      body: { name, text: value, type: "secret_text" },
+    },
+  );
+}
+
+/**
+ * Set a GitHub Actions secret, sealed with the repository's public key
+ */
+async function putGitHubSecret(env, repo, name, value) {
+  if (!env.GITHUB_TOKEN) {
+    throw new Error("GITHUB_TOKEN is required");
+  }
+  const headers = {
+    Accept: "application/vnd.github+json",
+    Authorization: `Bearer ${env.GITHUB_TOKEN}`,
+    "User-Agent": "chittycontext-secret-distributor",
+    "X-GitHub-Api-Version": "2022-11-28",
+  };
+  const base = `${GITHUB_API_URL}/repos/${repo}/actions/secrets`;
+
+  const publicKey = await requestJson(`${base}/public-key`, { headers });
+  await sodium.ready;
+  const sealed = sodium.crypto_box_seal(
+    sodium.from_string(value),
+    sodium.from_base64(publicKey.key, sodium.base64_variants.ORIGINAL),
+  );
+
+  await requestJson(`${base}/${name}`, {
+    method: "PUT",
+    headers,
+    body: {
+      encrypted_value: sodium.to_base64(
+        sealed,
+        sodium.base64_variants.ORIGINAL,
+      ),
+      key_id: publicKey.key_id,
+    },
+  });
+}
+
+/**
+ * Distribute every secret in a job, returning one result per mapping
+ */
+export async function distribute(message, env) {
+  const vault = new ConnectVault(env, `ChittyContext-${message.contextName}`);
+  const results = [];
+
+  for (const secret of message.secrets) {
+    const result = {
+      service: secret.service,
+      target: secret.worker || secret.repo || secret.project,
+      secretName: secret.secretName,
+    };
+
+    try {
+      if (secret.service === "neon") {
+        // Neon connection secrets are not pushed anywhere yet
+        results.push({ ...result, status: "skipped" });
+        continue;
+      }
+      if (!result.target) {
+        throw new Error(
+          `No ${secret.service === "cloudflare" ? "worker" : "repo"} configured`,
+        );
+      }
+
+      const value = await vault.read(secret.vaultItem, secret.vaultField);
+      if (secret.service === "cloudflare") {
+        await putCloudflareSecret(env, secret.worker, secret.secretName, value);
+      } else {
+        await putGitHubSecret(env, secret.repo, secret.secretName, value);
+      }
+      results.push({ ...result, status: "success" });
+    } catch (error) {
+      results.push({ ...result, status: "error", error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Summarize results as completed, partial or failed
+ */
+export function jobOutcome(results) {
+  const attempted = results.filter((result) => result.status !== "skipped");
+  const failed = attempted.filter((result) => result.status === "error");
+  if (failed.length === 0) {
+    return "completed";
+  }
+  return failed.length === attempted.length ? "failed" : "partial";
+}
+
+async function writeStatus(env, status) {
+  if (status.jobId) {
+    await env.JOBS.put(jobStatusKey(status.jobId), JSON.stringify(status), {
+      expirationTtl: JOB_TTL_SECONDS,
+    });
+  }
+}
+
+/**
+ * Process one queue message
+ *
+ * Invalid messages are acknowledged (retrying cannot fix them); jobs where
+ * every secret failed are retried, up to the queue's max_retries.
+ */
+export async function handleMessage(message, env) {
+  const job = message.body;
+  const status = {
+    jobId: job?.jobId,
+    contextName: job?.contextName,
+    status: "running",
+    attempts: message.attempts,
+    startedAt: new Date().toISOString(),
+    results: [],
+  };
+
+  const errors = validateMessage(MESSAGE_SCHEMAS["secret-distribution"], job);
+  if (errors.length > 0) {
+    await writeStatus(env, {
+      ...status,
+      status: "failed",
+      finishedAt: new Date().toISOString(),
+      error: `Invalid message: ${errors.join("; ")}`,
+    });
+    message.ack();
+    return;
+  }
+
+  await writeStatus(env, status);
+
+  let results;
+  try {
+    results = await distribute(job, env);
+  } catch (error) {
+    await writeStatus(env, {
+      ...status,
+      status: "failed",
+      finishedAt: new Date().toISOString(),
+      error: error.message,
+    });
+    message.retry();
+    return;
+  }
+
+  const outcome = jobOutcome(results);
+  await writeStatus(env, {
+    ...status,
+    status: outcome,
+    finishedAt: new Date().toISOString(),
+    results,
+  });
+
+  if (outcome === "failed") {
+    message.retry();
+  } else {
+    message.ack();
+  }
+}
+
+export default {
+  async queue(batch, env) {
+    for (const message of batch.messages) {
+      await handleMessage(message, env);
+    }
+  },
+};